@@ -0,0 +1,77 @@
+const DEFAULT = {
+	maxSize: 100,
+	maxLinger: 10
+};
+
+/**
+ * Groups items added in quick succession so they can be sent in a single request.
+ * A batch is flushed once it holds `maxSize` items or `maxLinger` ms after its first item was added.
+ */
+class Batcher {
+	#maxSize;
+	#maxLinger;
+	#send;
+	#items = [];
+	#timer = null;
+
+	/**
+	 * @param {Object} opts batching options
+	 * @param {Number} [opts.maxSize=100] maximum number of items in a batch
+	 * @param {Number} [opts.maxLinger=10] maximum time in ms an item waits for the batch to fill up
+	 * @param {Function} send called with the array of items, resolving with their results in the same
+	 * order and in the shape of `Promise.allSettled()`
+	 */
+	constructor(opts, send) {
+		this.#maxSize = Number(opts.maxSize) || DEFAULT.maxSize;
+		this.#maxLinger = Number(opts.maxLinger) >= 0 ? Number(opts.maxLinger) : DEFAULT.maxLinger;
+		this.#send = send;
+	}
+
+	/**
+	 * Add an item to the current batch
+	 * @param {*} item item to send
+	 * @returns {Promise<*>} result of the item once its batch was sent
+	 */
+	add(item) {
+		return new Promise((resolve, reject) => {
+			this.#items.push({ item, resolve, reject });
+			if (this.#items.length >= this.#maxSize) {
+				this.flush();
+			} else if (!this.#timer) {
+				this.#timer = setTimeout(() => this.flush(), this.#maxLinger);
+			}
+		});
+	}
+
+	/**
+	 * Send the current batch straight away
+	 */
+	flush() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+
+		const batch = this.#items;
+		this.#items = [];
+		if (!batch.length) {
+			return;
+		}
+
+		Promise.resolve()
+			.then(() => this.#send(batch.map(entry => entry.item)))
+			.then(
+				results => batch.forEach((entry, i) => {
+					const result = results[i];
+					if (result.status === 'fulfilled') {
+						entry.resolve(result.value);
+					} else {
+						entry.reject(result.reason);
+					}
+				}),
+				err => batch.forEach(entry => entry.reject(err))
+			);
+	}
+}
+
+module.exports = {
+	Batcher
+};
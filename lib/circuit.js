@@ -0,0 +1,119 @@
+const DEFAULT = {
+	failureThreshold: 5,
+	cooldown: 30000,
+	whenOpen: 'queue'
+};
+
+const STATE = {
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker guarding the requests made to the PubSub server.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and requests are refused.
+ * Once `cooldown` has passed it becomes half-open and lets a single probe request through:
+ * if the probe succeeds the circuit closes, otherwise it opens again.
+ */
+class CircuitBreaker {
+	static STATE = STATE;
+
+	#failureThreshold;
+	#cooldown;
+	#onStateChange;
+	#state = STATE.CLOSED;
+	#failures = 0;
+	#openedAt = 0;
+	#probing = false;
+
+	/**
+	 * @param {Object} [opts] circuit breaker options
+	 * @param {Number} [opts.failureThreshold=5] consecutive failures opening the circuit
+	 * @param {Number} [opts.cooldown=30000] time in ms the circuit stays open before probing
+	 * @param {String} [opts.whenOpen='queue'] `queue` to hold events until the circuit closes, `fail` to reject them
+	 * @param {Function} [onStateChange] called with `(state, previous)` whenever the state changes
+	 */
+	constructor(opts = {}, onStateChange = () => {}) {
+		this.#failureThreshold = Number(opts.failureThreshold) || DEFAULT.failureThreshold;
+		this.#cooldown = Number(opts.cooldown) || DEFAULT.cooldown;
+		this.whenOpen = opts.whenOpen || DEFAULT.whenOpen;
+		if (![ 'queue', 'fail' ].includes(this.whenOpen)) {
+			throw new Error(`Invalid circuit breaker whenOpen: ${this.whenOpen}`);
+		}
+		this.#onStateChange = onStateChange;
+	}
+
+	/**
+	 * Current state: `closed`, `open` or `half-open`
+	 * @returns {String}
+	 */
+	get state() {
+		if (this.#state === STATE.OPEN && Date.now() - this.#openedAt >= this.#cooldown) {
+			this.#transition(STATE.HALF_OPEN);
+		}
+		return this.#state;
+	}
+
+	/**
+	 * Check whether a request may be made now. In the half-open state only one probe is allowed at a time.
+	 * @returns {Boolean} true if the request may proceed
+	 */
+	allow() {
+		const state = this.state;
+		if (state === STATE.CLOSED) {
+			return true;
+		}
+		if (state === STATE.HALF_OPEN && !this.#probing) {
+			this.#probing = true;
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Time to wait before a request may be allowed again
+	 * @returns {Number} delay in ms
+	 */
+	retryIn() {
+		if (this.state === STATE.OPEN) {
+			return Math.max(this.#cooldown - (Date.now() - this.#openedAt), 0);
+		}
+		// Waiting on the half-open probe, check back shortly
+		return this.#state === STATE.HALF_OPEN ? Math.min(this.#cooldown, 1000) : 0;
+	}
+
+	/**
+	 * Record a request that reached the server
+	 */
+	success() {
+		this.#failures = 0;
+		this.#probing = false;
+		if (this.#state !== STATE.CLOSED) {
+			this.#transition(STATE.CLOSED);
+		}
+	}
+
+	/**
+	 * Record a request that failed because the server is unavailable
+	 */
+	failure() {
+		this.#failures++;
+		this.#probing = false;
+		if (this.#state === STATE.HALF_OPEN || (this.#state === STATE.CLOSED && this.#failures >= this.#failureThreshold)) {
+			this.#openedAt = Date.now();
+			this.#transition(STATE.OPEN);
+		}
+	}
+
+	#transition(state) {
+		const previous = this.#state;
+		this.#state = state;
+		this.#onStateChange(state, previous);
+	}
+}
+
+module.exports = {
+	CircuitBreaker
+};
@@ -0,0 +1,105 @@
+const { randomUUID } = require('crypto');
+
+const SPEC_VERSION = '1.0';
+
+// Context attributes with a meaning of their own, any other attribute is an extension
+const ATTRIBUTES = [ 'specversion', 'id', 'source', 'type', 'time', 'subject', 'dataschema', 'datacontenttype', 'data', 'data_base64' ];
+
+const EXTENSION_NAME = /^[a-z0-9]{1,20}$/;
+
+/**
+ * Check whether an object is a structured-mode CloudEvent
+ * @param {*} obj object to check
+ * @returns {Boolean}
+ */
+function isCloudEvent(obj) {
+	return !!obj && typeof obj === 'object' && typeof obj.specversion === 'string' && typeof obj.type === 'string';
+}
+
+/**
+ * Build a structured-mode CloudEvent from a published event
+ * @param {String} event event name, used as the `type`
+ * @param {Object} data event data
+ * @param {Object} options event options: `timestamp` becomes the `time`; `id`, `source`, `subject` and
+ * `dataschema` set those attributes and any other option is added as an extension attribute
+ * @param {String} source default `source` attribute
+ * @returns {Object} the CloudEvent
+ * @throws {Error} when an option is not a valid extension attribute name
+ */
+function toCloudEvent(event, data, options, source) {
+	const { timestamp, id, source: eventSource, subject, dataschema, ...extensions } = options;
+	Object.keys(extensions).forEach(name => {
+		if (!EXTENSION_NAME.test(name) || ATTRIBUTES.includes(name)) {
+			throw new Error(`Invalid CloudEvents extension attribute: ${name}`);
+		}
+	});
+	return {
+		specversion: SPEC_VERSION,
+		id: id || randomUUID(),
+		source: eventSource || source,
+		type: event,
+		time: new Date(timestamp).toISOString(),
+		...(subject !== undefined && { subject }),
+		...(dataschema !== undefined && { dataschema }),
+		...extensions,
+		datacontenttype: 'application/json',
+		data
+	};
+}
+
+/**
+ * Read a binary-mode CloudEvent, where the attributes are sent as `ce-*` headers and the body is the data
+ * @param {Object} headers request headers, lower cased
+ * @param {*} body parsed request body
+ * @returns {Object|null} the CloudEvent, or null if the request is not a binary-mode CloudEvent
+ */
+function fromBinary(headers, body) {
+	if (!headers?.['ce-specversion']) {
+		return null;
+	}
+	const event = {};
+	Object.entries(headers)
+		.filter(([ name ]) => name.startsWith('ce-'))
+		.forEach(([ name, value ]) => event[name.slice(3)] = decodeHeader(String(value)));
+	event.datacontenttype = headers['content-type'];
+	event.data = body;
+	return event;
+}
+
+function decodeHeader(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch (_e) {
+		// Not percent-encoded after all, e.g. `100%`
+		return value;
+	}
+}
+
+/**
+ * Convert a CloudEvent to the shape of the events delivered by the PubSub server, so handlers
+ * receive the same object whichever format arrived
+ * @param {Object} cloudEvent structured or binary-mode CloudEvent
+ * @returns {Object} `{ id, topic, event, data, timestamp, source, subject, extensions, cloudEvent }`
+ */
+function normalize(cloudEvent) {
+	const time = cloudEvent.time ? Date.parse(cloudEvent.time) : NaN;
+	const extensions = Object.fromEntries(Object.entries(cloudEvent).filter(([ name ]) => !ATTRIBUTES.includes(name)));
+	return {
+		id: cloudEvent.id,
+		topic: cloudEvent.type,
+		event: cloudEvent.type,
+		data: cloudEvent.data ?? (cloudEvent.data_base64 !== undefined ? Buffer.from(cloudEvent.data_base64, 'base64') : undefined),
+		timestamp: Number.isNaN(time) ? undefined : time,
+		source: cloudEvent.source,
+		subject: cloudEvent.subject,
+		extensions,
+		cloudEvent
+	};
+}
+
+module.exports = {
+	fromBinary,
+	isCloudEvent,
+	normalize,
+	toCloudEvent
+};
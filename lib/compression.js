@@ -0,0 +1,74 @@
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const { PubSubError } = require('./errors');
+
+const CODECS = {
+	gzip: {
+		compress: promisify(zlib.gzip),
+		decompress: promisify(zlib.gunzip)
+	},
+	br: {
+		// The default quality is meant for static assets, far too slow to compress every request
+		compress: (data) => promisify(zlib.brotliCompress)(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }),
+		decompress: promisify(zlib.brotliDecompress)
+	},
+	deflate: {
+		compress: promisify(zlib.deflate),
+		decompress: promisify(zlib.inflate)
+	}
+};
+
+/**
+ * Content encodings that can be compressed and decompressed
+ * @type {Array<String>}
+ */
+const ENCODINGS = Object.keys(CODECS);
+
+/**
+ * Compress a request body
+ * @param {String|Buffer} data body to compress
+ * @param {String} encoding `gzip`, `br` or `deflate`
+ * @returns {Promise<Buffer>} the compressed body
+ */
+function compress(data, encoding) {
+	return CODECS[encoding].compress(data);
+}
+
+/**
+ * Decompress a body according to its `content-encoding` header
+ * @param {Buffer} data received body
+ * @param {String} [header] `content-encoding` header, encodings listed in the order they were applied
+ * @param {Number} maxSize maximum size of the decompressed body in bytes
+ * @returns {Promise<Buffer>} the decompressed body, unchanged if it is not encoded
+ * @throws {PubSubError} `unsupported_encoding` for an unknown encoding, `body_too_large` when the decompressed
+ * body exceeds the limit or `invalid_encoding` when the body can't be decompressed
+ */
+async function decompress(data, header, maxSize) {
+	const encodings = String(header || '')
+		.split(',')
+		.map(encoding => encoding.trim().toLowerCase())
+		.filter(encoding => encoding && encoding !== 'identity');
+
+	for (const encoding of encodings.reverse()) {
+		if (!CODECS[encoding]) {
+			throw new PubSubError(`Unsupported content encoding: ${encoding}`, 'unsupported_encoding');
+		}
+		try {
+			// Stops inflating once the limit is reached, so a small body can't expand to fill the memory
+			data = await CODECS[encoding].decompress(data, { maxOutputLength: maxSize });
+		} catch (e) {
+			if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+				throw new PubSubError(`Decompressed body exceeds ${maxSize} bytes`, 'body_too_large');
+			}
+			throw new PubSubError(`Invalid ${encoding} body`, 'invalid_encoding');
+		}
+	}
+	return data;
+}
+
+module.exports = {
+	ENCODINGS,
+	compress,
+	decompress
+};
@@ -0,0 +1,43 @@
+// Config fields holding webhook credentials, only reported as changed without their values
+const CREDENTIALS = [ 'auth_user', 'auth_pass', 'auth_token', 'url' ];
+
+const CAPABILITIES = [ 'can_publish', 'can_consume' ];
+
+/**
+ * Compute what changed between two client configs
+ * @param {Object} previous config before reconfiguration
+ * @param {Object} next config after reconfiguration
+ * @returns {Object|null} the changes, or null if nothing changed:
+ * - `topics`: `{ added, removed }` subscribed topics
+ * - `auth`: `{ type: { from, to }, credentialsChanged }` when the webhook authentication changed
+ * - `capabilities`: `{ can_publish: { from, to } }` for each capability that changed
+ */
+function diffConfig(previous, next) {
+	const before = previous?.topics || [];
+	const after = next?.topics || [];
+	const topics = {
+		added: after.filter(topic => !before.includes(topic)),
+		removed: before.filter(topic => !after.includes(topic))
+	};
+
+	const credentialsChanged = CREDENTIALS.some(field => previous?.[field] !== next?.[field]);
+	const typeChanged = previous?.auth_type !== next?.auth_type;
+	const auth = typeChanged || credentialsChanged ? {
+		type: { from: previous?.auth_type, to: next?.auth_type },
+		credentialsChanged
+	} : null;
+
+	const capabilities = {};
+	CAPABILITIES
+		.filter(field => !!previous?.[field] !== !!next?.[field])
+		.forEach(field => capabilities[field] = { from: !!previous?.[field], to: !!next?.[field] });
+
+	if (!topics.added.length && !topics.removed.length && !auth && !Object.keys(capabilities).length) {
+		return null;
+	}
+	return { topics, auth, capabilities };
+}
+
+module.exports = {
+	diffConfig
+};
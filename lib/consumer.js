@@ -0,0 +1,261 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT = {
+	pollInterval: 1000,
+	wait: 0,
+	limit: 100,
+	maxBackoff: 30000
+};
+
+/**
+ * Checkpoint store keeping the cursor in memory only.
+ *
+ * Custom stores must implement the same async interface:
+ * - `load()` resolves with the saved cursor, or null if there is none
+ * - `save(cursor)` persists the cursor
+ */
+class MemoryCheckpoint {
+	#cursor = null;
+
+	async load() {
+		return this.#cursor;
+	}
+
+	async save(cursor) {
+		this.#cursor = cursor;
+	}
+}
+
+/**
+ * Checkpoint store persisting the cursor to a file, replaced atomically on each save
+ */
+class FileCheckpoint {
+	#file;
+
+	/**
+	 * @param {String} file path of the checkpoint file
+	 */
+	constructor(file) {
+		this.#file = path.resolve(file);
+	}
+
+	async load() {
+		try {
+			return JSON.parse(await fs.readFile(this.#file, 'utf8')).cursor ?? null;
+		} catch (e) {
+			if (e.code === 'ENOENT') {
+				return null;
+			}
+			throw e;
+		}
+	}
+
+	async save(cursor) {
+		const tmp = `${this.#file}.${process.pid}.tmp`;
+		await fs.writeFile(tmp, JSON.stringify({ cursor, savedAt: Date.now() }));
+		await fs.rename(tmp, this.#file);
+	}
+}
+
+/**
+ * Pulls events from the PubSub server, hands them to the client listeners one at a time and
+ * acknowledges the ones that were handled.
+ *
+ * Events are acknowledged once all of their listeners succeeded; the server delivers the other ones again.
+ * The cursor returned by the server is saved to the checkpoint store once every event of a batch was handled,
+ * so a restarted consumer resumes where it left off.
+ */
+class Consumer {
+	#pull;
+	#ack;
+	#handle;
+	#onError;
+	#onStop;
+	#pollInterval;
+	#wait;
+	#limit;
+	#checkpoint;
+	#cursor;
+	#state = 'running';
+	#abortController = new AbortController();
+	#resume = null;
+	#sleep = null;
+	#done;
+
+	/**
+	 * @param {Object} opts consumer options, see `PubSubClient#consume()`
+	 * @param {Object} io how batches are pulled, handled and acknowledged
+	 * @param {Function} io.pull `(query, signal)` resolving with `{ events, cursor }`
+	 * @param {Function} io.ack `(ids, cursor)` acknowledging handled events
+	 * @param {Function} io.handle `(event)` resolving with an error if the event was not handled
+	 * @param {Function} io.onError called with errors raised while pulling, handling, acknowledging or checkpointing
+	 * @param {Function} [io.onStop] called once the consumer stopped
+	 */
+	constructor(opts, { pull, ack, handle, onError, onStop = () => {} }) {
+		this.#pull = pull;
+		this.#ack = ack;
+		this.#handle = handle;
+		this.#onError = onError;
+		this.#onStop = onStop;
+		this.#pollInterval = Number(opts.pollInterval) || DEFAULT.pollInterval;
+		this.#wait = Number(opts.wait) || DEFAULT.wait;
+		this.#limit = Number(opts.limit) || DEFAULT.limit;
+		this.topics = opts.topics || null;
+		this.#cursor = opts.cursor ?? null;
+
+		const checkpoint = opts.checkpoint;
+		this.#checkpoint = checkpoint?.store
+			|| (checkpoint?.path && new FileCheckpoint(checkpoint.path))
+			|| (checkpoint && new MemoryCheckpoint())
+			|| null;
+
+		// Never left rejected, so `stop()` and closing the client always resolve
+		this.#done = this.#run().catch(err => {
+			this.#state = 'stopped';
+			this.#onError(err);
+			this.#onStop();
+		});
+	}
+
+	/**
+	 * Position of the last fully handled batch
+	 * @returns {String|null}
+	 */
+	get cursor() {
+		return this.#cursor;
+	}
+
+	/**
+	 * `running`, `paused` or `stopped`
+	 * @returns {String}
+	 */
+	get state() {
+		return this.#state;
+	}
+
+	/**
+	 * Stop pulling after the current batch until `resume()` is called
+	 */
+	pause() {
+		if (this.#state === 'running') {
+			this.#state = 'paused';
+		}
+	}
+
+	/**
+	 * Resume pulling after `pause()`
+	 */
+	resume() {
+		if (this.#state === 'paused') {
+			this.#state = 'running';
+			this.#resume?.();
+		}
+	}
+
+	/**
+	 * Stop consuming. The event being handled is finished and acknowledged, the rest of its batch is
+	 * left for the server to deliver again.
+	 * @returns {Promise<void>} resolves once the consumer stopped
+	 */
+	async stop() {
+		if (this.#state !== 'stopped') {
+			this.#state = 'stopped';
+			this.#abortController.abort();
+			this.#resume?.();
+			this.#sleep?.();
+		}
+		return this.#done;
+	}
+
+	async #run() {
+		let failures = 0;
+		try {
+			if (this.#cursor === null && this.#checkpoint) {
+				this.#cursor = await this.#checkpoint.load();
+			}
+		} catch (err) {
+			this.#onError(err);
+		}
+
+		while (this.#state !== 'stopped') {
+			if (this.#state === 'paused') {
+				await new Promise(resolve => this.#resume = resolve);
+				this.#resume = null;
+				continue;
+			}
+
+			let batch;
+			try {
+				batch = await this.#pull({ topics: this.topics, cursor: this.#cursor, limit: this.#limit, wait: this.#wait }, this.#abortController.signal);
+				failures = 0;
+			} catch (err) {
+				if (this.#state === 'stopped') {
+					break;
+				}
+				this.#onError(err);
+				// Back off while the server is failing
+				failures++;
+				await this.#delay(Math.min(this.#pollInterval * 2 ** (failures - 1), DEFAULT.maxBackoff));
+				continue;
+			}
+
+			const events = batch?.events || [];
+			const handled = [];
+			let complete = true;
+			for (const event of events) {
+				if (this.#state === 'stopped') {
+					complete = false;
+					break;
+				}
+				let error;
+				try {
+					error = await this.#handle(event);
+				} catch (err) {
+					// Left for the server to deliver again, the next events are still handled
+					error = err;
+					this.#onError(err);
+				}
+				if (!error) {
+					handled.push(event.id);
+				}
+			}
+
+			try {
+				if (handled.length) {
+					await this.#ack(handled, batch.cursor);
+				}
+				if (complete && batch?.cursor !== undefined && batch.cursor !== null && batch.cursor !== this.#cursor) {
+					this.#cursor = batch.cursor;
+					await this.#checkpoint?.save(this.#cursor);
+				}
+			} catch (err) {
+				this.#onError(err);
+			}
+
+			if (!events.length) {
+				await this.#delay(this.#pollInterval);
+			}
+		}
+		this.#onStop();
+	}
+
+	#delay(ms) {
+		if (this.#state === 'stopped') {
+			return Promise.resolve();
+		}
+		return new Promise(resolve => {
+			const timer = setTimeout(resolve, ms);
+			this.#sleep = () => {
+				clearTimeout(timer);
+				resolve();
+			};
+		}).finally(() => this.#sleep = null);
+	}
+}
+
+module.exports = {
+	Consumer,
+	FileCheckpoint,
+	MemoryCheckpoint
+};
@@ -0,0 +1,125 @@
+const { FileStore, MemoryStore } = require('./outbox');
+
+const DEFAULT = {
+	maxEntries: 10000
+};
+
+/**
+ * Events the PubSub server never accepted, kept with their last error and attempt history until
+ * they are replayed or purged.
+ *
+ * Entries are persisted with the same store interface as the outbox, see `MemoryStore`.
+ */
+class DeadLetters {
+	#store;
+	#maxEntries;
+	#entries = new Map();
+	#loaded;
+
+	/**
+	 * @param {Object} opts dead-letter options
+	 * @param {String} [opts.path] journal file to persist entries to
+	 * @param {Object} [opts.store] custom store, see `MemoryStore` for the interface
+	 * @param {Number} [opts.maxEntries] maximum number of entries kept, the oldest are dropped first
+	 */
+	constructor(opts) {
+		this.#store = opts.store || (opts.path ? new FileStore(opts.path) : new MemoryStore());
+		this.#maxEntries = Number(opts.maxEntries) || DEFAULT.maxEntries;
+	}
+
+	/**
+	 * Load the persisted entries
+	 * @returns {Promise<void>}
+	 */
+	load() {
+		if (!this.#loaded) {
+			this.#loaded = (async () => {
+				const entries = await this.#store.load();
+				entries
+					.sort((a, b) => a.createdAt - b.createdAt)
+					.forEach(entry => this.#entries.set(entry.id, entry));
+			})();
+		}
+		return this.#loaded;
+	}
+
+	/**
+	 * Record an event that failed, adding to the history of an entry that failed again after a replay
+	 * @param {String} id event identifier
+	 * @param {Object} data event data
+	 * @param {DeliveryError} err error the send failed with
+	 * @param {Array<Object>} history failed attempts as `{ at, status, code, message }`
+	 * @returns {Promise<Object>} the entry
+	 */
+	async add(id, data, err, history) {
+		await this.load();
+		const previous = this.#entries.get(id);
+		const now = Date.now();
+		const entry = {
+			id,
+			topic: data.event ?? data.type ?? null,
+			data,
+			error: { message: err.message, code: err.code, status: err.status ?? null },
+			attempts: (previous?.attempts || 0) + (err.attempts || history.length),
+			history: [ ...previous?.history || [], ...history ],
+			replays: previous ? previous.replays + 1 : 0,
+			createdAt: previous?.createdAt ?? now,
+			updatedAt: now
+		};
+		// Re-inserted so the most recent failures are dropped last
+		this.#entries.delete(id);
+		this.#entries.set(id, entry);
+		await this.#store.add(entry);
+		while (this.#entries.size > this.#maxEntries) {
+			await this.remove(this.#entries.keys().next().value);
+		}
+		return entry;
+	}
+
+	/**
+	 * Get an entry
+	 * @param {String} id event identifier
+	 * @returns {Promise<Object|null>} the entry, or null if there is none
+	 */
+	async get(id) {
+		await this.load();
+		return this.#entries.get(id) || null;
+	}
+
+	/**
+	 * List the entries matching a filter, oldest failure first
+	 * @param {Object} [filter] entry filter
+	 * @param {Array<String>} [filter.ids] event identifiers
+	 * @param {String} [filter.topic] topic of the events
+	 * @param {String} [filter.code] code of the last error, e.g. `rejected` or `retry_limit`
+	 * @param {Number} [filter.before] only entries that last failed before this time in ms
+	 * @param {Number} [filter.limit] maximum number of entries
+	 * @returns {Promise<Array<Object>>} the entries
+	 */
+	async list({ ids, topic, code, before, limit } = {}) {
+		await this.load();
+		const entries = [ ...this.#entries.values() ].filter(entry => (!ids || ids.includes(entry.id))
+			&& (topic === undefined || entry.topic === topic)
+			&& (code === undefined || entry.error.code === code)
+			&& (before === undefined || entry.updatedAt < before));
+		return limit > 0 ? entries.slice(0, limit) : entries;
+	}
+
+	/**
+	 * Remove an entry
+	 * @param {String} id event identifier
+	 * @returns {Promise<Boolean>} whether there was an entry
+	 */
+	async remove(id) {
+		await this.load();
+		if (!this.#entries.delete(id)) {
+			return false;
+		}
+		await this.#store.remove(id);
+		return true;
+	}
+}
+
+module.exports = {
+	DeadLetters
+};
@@ -0,0 +1,437 @@
+const { createHmac, randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+const http = require('http');
+
+const { isCloudEvent } = require('./cloudevents');
+const { decompress } = require('./compression');
+const { PubSubError } = require('./errors');
+const { readBody } = require('./receiver');
+const { matchTopic } = require('./topic');
+const { safeEqual, signWebhook } = require('./webhook');
+
+const DEFAULT = {
+	maxBodySize: 1024 * 1024,
+	visibilityTimeout: 30000
+};
+
+/**
+ * In-process PubSub server for integration tests.
+ *
+ * Serves `/api/config`, `/api/event` (POST), `/api/event/:id` (PATCH), `/api/event/batch`,
+ * `/api/event/pull` and `/api/event/ack`, verifying the `APIKey`/`APISig` headers the same way the
+ * PubSub server does. Accepted events are recorded in `events`, delivered as signed webhooks to the
+ * clients subscribed to their topic and queued for them to pull.
+ *
+ * Emits `event` with each recorded event, `queued` once it was queued for the subscribed clients and
+ * `delivery` with the outcome of each webhook delivery.
+ */
+class Emulator extends EventEmitter {
+	#clients = new Map();
+	#failures = [];
+	#server = null;
+	#pending = new Set();
+	#autoDeliver;
+	#visibilityTimeout;
+	#queues = new Map();
+	#sequence = 0;
+
+	/**
+	 * Events accepted by the emulator, as `{ id, key, method, topic, data, options, headers, receivedAt }`,
+	 * with the `cloudEvent` as received for structured-mode CloudEvents
+	 * @type {Array<Object>}
+	 */
+	events = [];
+
+	/**
+	 * Webhooks delivered by the emulator, as `{ key, url, body, status, error }`
+	 * @type {Array<Object>}
+	 */
+	deliveries = [];
+
+	/**
+	 * @param {Object} [opts] emulator options
+	 * @param {Object} [opts.clients] clients keyed by API key, see `addClient()`
+	 * @param {Boolean} [opts.autoDeliver=true] deliver accepted events to the subscribed clients
+	 * @param {Number} [opts.visibilityTimeout=30000] time in ms before a pulled event that wasn't acknowledged is pulled again
+	 */
+	constructor(opts = {}) {
+		super();
+		this.#autoDeliver = opts.autoDeliver !== false;
+		this.#visibilityTimeout = opts.visibilityTimeout ?? DEFAULT.visibilityTimeout;
+		Object.entries(opts.clients || {}).forEach(([ key, client ]) => this.addClient(key, client));
+	}
+
+	/**
+	 * Base URL of the emulator, to use as the client `url`
+	 * @returns {String|null} the URL, or null if not started
+	 */
+	get url() {
+		const address = this.#server?.address();
+		return address ? `http://127.0.0.1:${address.port}` : null;
+	}
+
+	/**
+	 * Register a client, replacing any previous one with the same key
+	 * @param {String} key client API key
+	 * @param {Object} client client details
+	 * @param {String} client.secret client secret, used to verify requests and sign `key_secret` webhooks
+	 * @param {Boolean} [client.can_publish=true] whether the client may publish events
+	 * @param {Boolean} [client.can_consume=false] whether the client receives events
+	 * @param {String} [client.url] URL webhooks are delivered to, with the credentials for `basic` auth
+	 * @param {String} [client.auth_type] webhook authentication: `basic`, `token`, `key_secret` or none
+	 * @param {String} [client.auth_token] token sent with `token` auth
+	 * @param {Array<String>|Object} [client.topics] subscribed topics or patterns, or an `events` object keyed by topic
+	 */
+	addClient(key, { secret, topics, events, ...config } = {}) {
+		if (!secret) {
+			throw new Error(`Missing secret for client ${key}`);
+		}
+		this.#clients.set(key, {
+			secret,
+			config: {
+				can_publish: true,
+				can_consume: false,
+				...config,
+				events: events || Object.fromEntries([].concat(topics || []).map(topic => [ topic, null ]))
+			}
+		});
+	}
+
+	/**
+	 * Change the config of a registered client, e.g. to test reconfiguration
+	 * @param {String} key client API key
+	 * @param {Object} changes config fields to change
+	 */
+	updateClient(key, { topics, ...changes }) {
+		const client = this.#getClient(key);
+		Object.assign(client.config, changes);
+		if (topics) {
+			client.config.events = Object.fromEntries(topics.map(topic => [ topic, null ]));
+		}
+	}
+
+	/**
+	 * Fail the next requests to a route
+	 * @param {Object} failure failure to inject
+	 * @param {String} [failure.route='*'] `config`, `event` (POST), `update` (PATCH), `batch`, `pull`, `ack` or `*` for any
+	 * @param {Number} [failure.status=500] status to answer with
+	 * @param {Number} [failure.delay] time in ms to wait before answering
+	 * @param {Boolean} [failure.timeout] never answer, leaving the client to time out
+	 * @param {Object} [failure.headers] response headers, e.g. `retry-after`
+	 * @param {Object} [failure.body] response body
+	 * @param {Number} [failure.times=1] number of requests to fail, `Infinity` until `reset()`
+	 */
+	fail({ route = '*', status = 500, delay = 0, timeout = false, headers, body, times = 1 } = {}) {
+		this.#failures.push({ route, status, delay, timeout, headers, body, remaining: times });
+	}
+
+	/**
+	 * Forget recorded events, deliveries and pending failures
+	 */
+	reset() {
+		this.events = [];
+		this.deliveries = [];
+		this.#failures = [];
+		this.#queues.clear();
+	}
+
+	/**
+	 * Start serving
+	 * @param {Object} [opts] server options
+	 * @param {Number} [opts.port=0] port to listen on, a random free one by default
+	 * @returns {Promise<String>} the base URL of the emulator
+	 */
+	async start({ port = 0 } = {}) {
+		if (this.#server) {
+			return this.url;
+		}
+		this.#server = http.createServer((req, res) => this.#handle(req, res).catch(err => {
+			this.#respond(res, 500, { success: false, message: err.message });
+		}));
+		await new Promise((resolve, reject) => {
+			this.#server.once('error', reject);
+			this.#server.listen(port, '127.0.0.1', () => {
+				this.#server.off('error', reject);
+				resolve();
+			});
+		});
+		return this.url;
+	}
+
+	/**
+	 * Stop serving, dropping requests held by a `timeout` failure
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (!this.#server) {
+			return;
+		}
+		const server = this.#server;
+		this.#server = null;
+		this.#pending.forEach(res => res.destroy());
+		this.#pending.clear();
+		await new Promise(resolve => {
+			server.close(() => resolve());
+			server.closeAllConnections();
+		});
+	}
+
+	/**
+	 * Deliver a webhook to a client, authenticated with its `auth_type`
+	 * @param {String} key API key of the receiving client
+	 * @param {Object} event event to deliver, `id` and `timestamp` are set if missing
+	 * @param {Object} [opts] delivery options
+	 * @param {String} [opts.url] URL to deliver to instead of the client's
+	 * @param {Boolean} [opts.signatureTimestamp=true] sign a timestamp along with the body for `key_secret`
+	 * @returns {Promise<Object>} the delivery as `{ key, url, body, status, error }`
+	 */
+	async deliver(key, event, { url, signatureTimestamp = true } = {}) {
+		const { secret, config } = this.#getClient(key);
+		const target = new URL(url || config.url);
+		const body = JSON.stringify({ id: randomUUID(), timestamp: Date.now(), ...event });
+		const headers = { 'content-type': 'application/json' };
+
+		if (config.auth_type === 'basic') {
+			// fetch() refuses credentials in the URL, send them as a header instead
+			const user = decodeURIComponent(target.username);
+			const pass = decodeURIComponent(target.password);
+			headers.authorization = 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64');
+		} else if (config.auth_type === 'token') {
+			headers['x-auth-token'] = config.auth_token;
+		} else if (config.auth_type === 'key_secret') {
+			const timestamp = signatureTimestamp ? String(Date.now()) : undefined;
+			headers['x-signature'] = signWebhook(secret, body, timestamp);
+			if (timestamp) {
+				headers['x-signature-timestamp'] = timestamp;
+			}
+		}
+		target.username = '';
+		target.password = '';
+
+		const delivery = { key, url: target.href, body: JSON.parse(body) };
+		try {
+			const res = await fetch(target, { method: 'POST', headers, body });
+			delivery.status = res.status;
+		} catch (err) {
+			delivery.error = err;
+		}
+		this.deliveries.push(delivery);
+		this.emit('delivery', delivery);
+		return delivery;
+	}
+
+	async #handle(req, res) {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		const route = this.#route(req.method, pathname);
+		if (!route) {
+			return this.#respond(res, 404, { success: false, message: 'Not found' });
+		}
+
+		const raw = await readBody(req, DEFAULT.maxBodySize).catch(() => null);
+		if (raw === null) {
+			return this.#respond(res, 413, { success: false, message: 'Body too large' });
+		}
+
+		const failure = this.#failures.find(f => f.remaining > 0 && (f.route === '*' || f.route === route.name));
+		if (failure) {
+			failure.remaining--;
+			this.#failures = this.#failures.filter(f => f.remaining > 0);
+			if (failure.delay) {
+				await new Promise(resolve => setTimeout(resolve, failure.delay));
+			}
+			if (failure.timeout) {
+				// Hold the request until the client gives up or the emulator is closed
+				this.#pending.add(res);
+				res.once('close', () => this.#pending.delete(res));
+				return;
+			}
+			return this.#respond(res, failure.status, failure.body || { success: false, message: 'Injected failure' }, failure.headers);
+		}
+
+		// Authenticate like the PubSub server: the body (`{}` for GET requests) signed with the client secret
+		const key = req.headers.apikey;
+		const client = key && this.#clients.get(key);
+		// Compressed bodies are signed as sent
+		const signed = req.method === 'GET' ? '{}' : raw;
+		const signature = client && createHmac('SHA256', client.secret).update(signed).digest('base64');
+		if (!client || !safeEqual(req.headers.apisig, signature)) {
+			return this.#respond(res, 401, { success: false, message: 'Unauthorized' });
+		}
+
+		if (route.name === 'config') {
+			return this.#respond(res, 200, { key, [key]: { ...client.config } });
+		}
+		if (route.name === 'pull') {
+			if (!client.config.can_consume) {
+				return this.#respond(res, 403, { success: false, message: 'Consumption is not enabled for this client' });
+			}
+			return this.#respond(res, 200, await this.#pull(key, new URL(req.url, 'http://localhost').searchParams));
+		}
+
+		if (!client.config.can_publish) {
+			return this.#respond(res, 403, { success: false, message: 'Publishing is not enabled for this client' });
+		}
+
+		let body;
+		try {
+			body = JSON.parse((await decompress(raw, req.headers['content-encoding'], DEFAULT.maxBodySize)).toString());
+		} catch (e) {
+			const status = { body_too_large: 413, unsupported_encoding: 415 }[e.code] || 400;
+			return this.#respond(res, status, { success: false, message: e instanceof SyntaxError ? 'Invalid JSON' : e.message });
+		}
+
+		if (route.name === 'ack') {
+			const ids = new Set(Array.isArray(body.ids) ? body.ids : []);
+			(this.#queues.get(key) || []).forEach(entry => entry.acked = entry.acked || ids.has(entry.event.id));
+			return this.#respond(res, 200, { success: true });
+		}
+		if (route.name === 'batch') {
+			const results = (Array.isArray(body.events) ? body.events : []).map(event => this.#accept(key, 'POST', event, req.headers));
+			return this.#respond(res, 200, { results });
+		}
+		if (route.name === 'update') {
+			const result = this.#update(key, route.id, body, req.headers);
+			return this.#respond(res, result.status, result);
+		}
+		const result = this.#accept(key, 'POST', body, req.headers);
+		this.#respond(res, result.status, result);
+	}
+
+	#route(method, pathname) {
+		if (method === 'GET' && pathname === '/api/config') {
+			return { name: 'config' };
+		}
+		if (method === 'GET' && pathname === '/api/event/pull') {
+			return { name: 'pull' };
+		}
+		if (method === 'POST' && pathname === '/api/event/ack') {
+			return { name: 'ack' };
+		}
+		if (method === 'POST' && pathname === '/api/event/batch') {
+			return { name: 'batch' };
+		}
+		if (method === 'POST' && pathname === '/api/event') {
+			return { name: 'event' };
+		}
+		const match = method === 'PATCH' && pathname.match(/^\/api\/event\/([^/]+)$/);
+		return match ? { name: 'update', id: decodeURIComponent(match[1]) } : null;
+	}
+
+	#accept(key, method, body, headers) {
+		const cloudEvent = isCloudEvent(body) ? body : null;
+		const topic = cloudEvent ? cloudEvent.type : body?.event;
+		if (typeof topic !== 'string' || !topic) {
+			return { status: 400, message: 'required event name' };
+		}
+		const event = {
+			id: randomUUID(),
+			key,
+			method,
+			topic,
+			data: (cloudEvent ? cloudEvent.data : body.data) || {},
+			options: cloudEvent ? { timestamp: Date.parse(cloudEvent.time) || undefined } : body.options || {},
+			headers,
+			receivedAt: Date.now(),
+			...(cloudEvent && { cloudEvent })
+		};
+		this.#record(event);
+		this.#autoDeliver && this.#fanOut(event);
+		return { status: 201, id: event.id };
+	}
+
+	#update(key, id, body, headers) {
+		const original = this.events.find(event => event.id === id && event.method === 'POST');
+		if (!original) {
+			return { status: 404, message: 'Event not found' };
+		}
+		this.#record({
+			id,
+			key,
+			method: 'PATCH',
+			topic: original.topic,
+			data: body.data || {},
+			options: body.options || {},
+			headers,
+			receivedAt: Date.now()
+		});
+		return { status: 200, id };
+	}
+
+	#record(event) {
+		this.events.push(event);
+		this.emit('event', event);
+	}
+
+	#fanOut(event) {
+		const payload = { id: event.id, topic: event.topic, event: event.topic, data: event.data, timestamp: event.options.timestamp };
+		this.#clients.forEach(({ config }, key) => {
+			const subscribed = Object.keys(config.events || {}).some(topic => matchTopic(topic, event.topic));
+			if (!config.can_consume || !subscribed) {
+				return;
+			}
+			if (!this.#queues.has(key)) {
+				this.#queues.set(key, []);
+			}
+			this.#queues.get(key).push({ seq: ++this.#sequence, event: payload, acked: false, visibleAt: 0 });
+			if (config.url) {
+				this.deliver(key, payload);
+			}
+		});
+		this.emit('queued', event);
+	}
+
+	async #pull(key, params) {
+		const cursor = Number(params.get('cursor')) || 0;
+		const limit = Number(params.get('limit')) || 100;
+		const wait = Number(params.get('wait')) || 0;
+		const topics = params.get('topics')?.split(',').filter(Boolean);
+
+		const pending = () => {
+			const now = Date.now();
+			// Events past the cursor, and the ones pulled before that weren't acknowledged in time
+			return (this.#queues.get(key) || [])
+				.filter(entry => !entry.acked && (entry.seq > cursor || entry.visibleAt <= now))
+				.filter(entry => !topics || topics.some(topic => matchTopic(topic, entry.event.topic)))
+				.slice(0, limit);
+		};
+
+		let entries = pending();
+		if (!entries.length && wait) {
+			await new Promise(resolve => {
+				const done = () => {
+					clearTimeout(timer);
+					this.off('queued', done);
+					resolve();
+				};
+				const timer = setTimeout(done, wait);
+				this.on('queued', done);
+			});
+			entries = pending();
+		}
+
+		const now = Date.now();
+		entries.forEach(entry => entry.visibleAt = now + this.#visibilityTimeout);
+		const last = Math.max(cursor, ...entries.map(entry => entry.seq));
+		return { events: entries.map(entry => entry.event), cursor: String(last) };
+	}
+
+	#getClient(key) {
+		const client = this.#clients.get(key);
+		if (!client) {
+			throw new PubSubError(`Unknown client: ${key}`, 'unknown_client');
+		}
+		return client;
+	}
+
+	#respond(res, status, body, headers = {}) {
+		if (res.headersSent || res.destroyed) {
+			return;
+		}
+		res.writeHead(status, { 'content-type': 'application/json', ...headers });
+		res.end(JSON.stringify(body));
+	}
+}
+
+module.exports = {
+	Emulator
+};
@@ -0,0 +1,101 @@
+/**
+ * Base error for failures raised by the PubSub client
+ */
+class PubSubError extends Error {
+	/**
+	 * @param {String} message error message
+	 * @param {String} code machine readable error code
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+	}
+}
+
+/**
+ * Raised when an event could not be delivered to the PubSub server.
+ *
+ * `code` is one of:
+ * - `rejected`: the server refused the event (HTTP 400)
+ * - `unauthorized`: the key/secret is wrong or the event is not allowed (HTTP 401/403)
+ * - `notfound`: the event to update does not exist (HTTP 404)
+ * - `server_error`: the server failed to process the event (any other HTTP error)
+ * - `retry_limit`: sending kept failing until `retryLimit` was reached
+ * - `request_failed`: the request could not be made at all
+ * - `circuit_open`: the circuit breaker is open and set to fail fast
+ * - `closed`: the client was closed before the event was accepted
+ */
+class DeliveryError extends PubSubError {
+	/**
+	 * @param {String} message error message
+	 * @param {String} code machine readable error code
+	 * @param {Object} details delivery details
+	 * @param {String} details.id event identifier
+	 * @param {Number} [details.status] last HTTP status received
+	 * @param {Number} details.attempts number of attempts made
+	 * @param {Error} [details.cause] underlying error
+	 */
+	constructor(message, code, { id, status, attempts, cause } = {}) {
+		super(message, code);
+		this.id = id;
+		this.status = status;
+		this.attempts = attempts;
+		if (cause) {
+			this.cause = cause;
+		}
+	}
+}
+
+/**
+ * Raised when the listeners of a received event fail while webhooks await their handlers.
+ *
+ * `code` is `handler_failed` when a listener threw or rejected, `handler_timeout` when
+ * the listeners did not finish within the handler timeout, or `middleware_failed` when a
+ * consume middleware threw.
+ */
+class HandlerError extends PubSubError {
+	/**
+	 * @param {String} message error message
+	 * @param {String} code machine readable error code
+	 * @param {Object} details event details
+	 * @param {String} details.topic topic of the received event
+	 * @param {Object} details.payload received event
+	 * @param {Error} [details.cause] error raised by the listener
+	 */
+	constructor(message, code, { topic, payload, cause } = {}) {
+		super(message, code);
+		this.topic = topic;
+		this.payload = payload;
+		if (cause) {
+			this.cause = cause;
+		}
+	}
+}
+
+/**
+ * Raised when event data does not match the schema registered for its topic.
+ *
+ * `code` is `invalid_data`.
+ */
+class ValidationError extends PubSubError {
+	/**
+	 * @param {String} message error message
+	 * @param {String} code machine readable error code
+	 * @param {Object} details validation details
+	 * @param {String} details.topic topic of the event
+	 * @param {Array<Object>} details.errors validation errors as `{ path, keyword, message }`
+	 */
+	constructor(message, code, { topic, errors } = {}) {
+		super(message, code);
+		this.topic = topic;
+		this.errors = errors;
+	}
+}
+
+module.exports = {
+	DeliveryError,
+	HandlerError,
+	PubSubError,
+	ValidationError
+};
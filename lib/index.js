@@ -1,11 +1,33 @@
 const { createHash, createHmac } = require('crypto');
 const { EventEmitter } = require('events');
+const fs = require('fs/promises');
 const { hostname } = require('os');
 
 const auth = require('basic-auth');
 const debug = require('debug');
 
 const { version } = require('../package.json');
+const { Batcher } = require('./batch');
+const { CircuitBreaker } = require('./circuit');
+const { fromBinary, isCloudEvent, normalize, toCloudEvent } = require('./cloudevents');
+const { ENCODINGS, compress, decompress } = require('./compression');
+const { diffConfig } = require('./config');
+const { Consumer, FileCheckpoint, MemoryCheckpoint } = require('./consumer');
+const { DeadLetters } = require('./deadletter');
+const { Emulator } = require('./emulator');
+const { DeliveryError, HandlerError, PubSubError, ValidationError } = require('./errors');
+const { RateLimiter } = require('./limiter');
+const { Metrics, toPrometheus } = require('./metrics');
+const { FileStore, MemoryStore, Outbox } = require('./outbox');
+const { createReceiver, fastifyHandler, fetchHandler, koaMiddleware, parseContentType, readBody } = require('./receiver');
+const { Redactor } = require('./redact');
+const { RetryPolicy, parseRetryAfter } = require('./retry');
+const { WebhookRouter } = require('./router');
+const { SchemaRegistry } = require('./schema');
+const { matchTopic, topicsOverlap } = require('./topic');
+const { EventIterator, Subscription } = require('./subscription');
+const { Tracing } = require('./tracing');
+const { MemoryDedupeStore, safeEqual, verifyWebhookSignature } = require('./webhook');
 
 const fingerprint = createHash('sha256').update(hostname() || Date.now()).digest('hex');
 
@@ -13,6 +35,18 @@ const DEFAULT = {
 	timeout: 10000,
 	retryLimit: 10,
 	reconfigureTimeout: null,
+	handlerTimeout: 30000,
+	maxBodySize: 1024 * 1024,
+	gracePeriod: 10 * 60 * 1000,
+	compression: {
+		encoding: 'gzip',
+		threshold: 1024
+	},
+	configRetry: {
+		retries: 5,
+		baseDelay: 1000,
+		maxDelay: 30000
+	},
 	headers: {
 		'content-type': 'application/json',
 		'user-agent': `pubsub-client/${version} (${fingerprint})`
@@ -34,9 +68,59 @@ class PubSubClient extends EventEmitter {
 	#timeout;
 	#retryLimit;
 	#retries = {};
+	// Failed attempts of each event, kept for the dead-letter store
+	#history = {};
+	#retryPolicy;
+	#circuit = null;
+	#batcher = null;
+	#limiter = null;
+	#reservations = new Map();
+	#fireAndForget;
+	#strict;
+	#redactor;
+	#schemas;
+	#cloudEvents = null;
+	#compression = null;
+	#outbox = null;
+	#deadLetters = null;
+	#sequence = 0;
+	#publishMiddleware = [];
+	// Headers added by the publish middleware, by event identifier
+	#publishHeaders = new Map();
+
+	// Instrumentation
+	#metrics;
+	#tracing = null;
+
+	// Lifecycle state
+	#closed = false;
+	#reconfigureInterval = null;
+	#abortController = new AbortController();
+	#pendingSends = new Set();
+	#retryTimers = new Set();
+	#servers = new Set();
+	#consumers = new Set();
+	#iterators = new Set();
+
+	// Webhook options
+	#signatureTolerance;
+	#requireTimestamp;
+	#gracePeriod;
+	// Previous webhook credentials still accepted after a rotation, as `{ type, value, expiresAt }`
+	#graceCredentials = [];
+	#dedupe = null;
+	#awaitHandlers;
+	#validateWebhooks;
+	#maxBodySize;
+	#handlerTimeout;
+	#consumeMiddleware = [];
 
 	// Client config
 	_config = null;
+	#ready;
+	#configRetries;
+	#configRetryPolicy;
+	#configCache;
 
 	// Queue to hold pending topic checks while initial configuration is in progress
 	#pendingChecks = [];
@@ -72,23 +156,160 @@ class PubSubClient extends EventEmitter {
 
 		this.#timeout = Number(opts.timeout) || DEFAULT.timeout;
 		this.#retryLimit = Number(opts.retryLimit) || DEFAULT.retryLimit;
+		this.#fireAndForget = !!opts.fireAndForget;
+		this.#strict = !!opts.strict;
+		this.#redactor = new Redactor(opts.redaction);
+		this.#schemas = new SchemaRegistry(opts.schemas);
+		if (opts.cloudEvents) {
+			this.#cloudEvents = { source: `/pubsub/${this.#key}`, ...(opts.cloudEvents === true ? {} : opts.cloudEvents) };
+		}
+		if (opts.compression) {
+			this.#compression = { ...DEFAULT.compression, ...(opts.compression === true ? {} : opts.compression) };
+			if (!ENCODINGS.includes(this.#compression.encoding)) {
+				throw new Error(`Invalid compression encoding: ${this.#compression.encoding}`);
+			}
+		}
+		this.#retryPolicy = new RetryPolicy(opts.retryPolicy);
+		this.#metrics = new Metrics(opts.metrics);
+		if (opts.tracing) {
+			this.#tracing = new Tracing(opts.tracing === true ? {} : opts.tracing);
+		}
+		if (opts.batching) {
+			this.#batcher = new Batcher(opts.batching === true ? {} : opts.batching, items => this._sendBatch(items));
+		}
+		if (opts.rateLimit) {
+			this.#limiter = new RateLimiter(opts.rateLimit, event => {
+				logger.info('Outbound queue', event);
+				this.emit(event);
+			});
+		}
+		if (opts.circuitBreaker) {
+			this.#circuit = new CircuitBreaker(opts.circuitBreaker === true ? {} : opts.circuitBreaker, state => {
+				logger.info('Circuit breaker', state, this.#key);
+				const event = { open: 'circuitOpen', closed: 'circuitClosed', 'half-open': 'circuitHalfOpen' }[state];
+				this.emit(event, state);
+			});
+		}
 
 		const reconfigureTimeout = Number(opts.reconfigureTimeout) || DEFAULT.reconfigureTimeout;
 		if (reconfigureTimeout) {
 			logger.info('Client reconfiguration enabled', this.#key, reconfigureTimeout);
-			setInterval(() => this._fetchConfig(), reconfigureTimeout);
+			this.#reconfigureInterval = setInterval(() => this._fetchConfig().catch(err => this.#configFailed(err)), reconfigureTimeout);
+		}
+
+		const webhook = opts.webhook || {};
+		this.#signatureTolerance = Number(webhook.tolerance) || undefined;
+		this.#gracePeriod = webhook.gracePeriod ?? DEFAULT.gracePeriod;
+		this.#requireTimestamp = !!webhook.requireTimestamp;
+		this.#awaitHandlers = !!webhook.awaitHandlers;
+		this.#validateWebhooks = webhook.validate === true ? 'reject' : webhook.validate || null;
+		if (this.#validateWebhooks && ![ 'reject', 'emit' ].includes(this.#validateWebhooks)) {
+			throw new Error(`Invalid webhook validate: ${this.#validateWebhooks}`);
+		}
+		this.#handlerTimeout = Number(webhook.handlerTimeout) || DEFAULT.handlerTimeout;
+		this.#maxBodySize = Number(webhook.maxBodySize) || DEFAULT.maxBodySize;
+		if (webhook.dedupe) {
+			this.#dedupe = webhook.dedupe.store || new MemoryDedupeStore(webhook.dedupe === true ? {} : webhook.dedupe);
+		}
+
+		if (opts.outbox) {
+			this.#outbox = new Outbox(opts.outbox, (entry, reason) => {
+				logger.error('Outbox entry dropped', entry.id, reason);
+				this.emit('outboxDropped', entry, reason);
+			});
+			this.#replayOutbox();
+		}
+		if (opts.deadLetter) {
+			this.#deadLetters = new DeadLetters(opts.deadLetter === true ? {} : opts.deadLetter);
 		}
 
-		this._fetchConfig();
+		const configRetry = { ...DEFAULT.configRetry, ...opts.configRetry };
+		this.#configRetries = Math.max(Number(configRetry.retries) || 0, 0);
+		this.#configRetryPolicy = new RetryPolicy({ baseDelay: configRetry.baseDelay, maxDelay: configRetry.maxDelay });
+		this.#configCache = opts.configCache || null;
+
+		this.#ready = this.#initConfig();
+		// Failures are reported through `configError`, only callers of `ready()` see the rejection
+		this.#ready.catch(() => {});
+	}
+
+	/**
+	 * Wait for the client configuration to be loaded
+	 * @returns {Promise<Object>} the client config, fetched from the PubSub server or the last known good one from `configCache`
+	 * @throws {Error} when the config could not be fetched within the startup retries and no cached config is available
+	 */
+	ready() {
+		return this.#ready;
 	}
 
 	/**
-	 * Check if the client is configured to receive a specific topic
+	 * Check if the client is configured to receive a specific topic.
+	 * Subscribed topics may be patterns using `*` (one segment) or `**` (one or more segments).
 	 * @param {String} topic topic to check
+	 * @param {Array<String>} [topics] topics to check against, defaults to the configured topics
 	 * @returns {Boolean} true if this client is configured to receive the topic
 	 */
-	hasSubscribedTopic(topic) {
-		return this._config?.topics.includes(topic);
+	hasSubscribedTopic(topic, topics = this._config?.topics) {
+		return !!topics && topics.some(pattern => matchTopic(pattern, topic));
+	}
+
+	/**
+	 * Register the JSON Schema that the data of a topic must match, replacing any previous one.
+	 * Published events are validated before they are sent, received ones when `webhook.validate` is set.
+	 * @param {String} topic topic or topic pattern
+	 * @param {Object} schema JSON Schema, see `SchemaRegistry` for the supported keywords
+	 * @throws {Error} when the schema is invalid
+	 */
+	registerSchema(topic, schema) {
+		this.#schemas.register(topic, schema);
+	}
+
+	/**
+	 * Remove the schema of a topic
+	 * @param {String} topic topic or topic pattern the schema was registered with
+	 * @returns {Boolean} whether a schema was removed
+	 */
+	unregisterSchema(topic) {
+		return this.#schemas.unregister(topic);
+	}
+
+	/**
+	 * Add a middleware run on every published event and update before it is validated, redacted and sent.
+	 * Middleware run in the order they were added and may be async.
+	 *
+	 * It is called with a context `{ event, id, data, options, headers }`, where `id` is set for updates and
+	 * `event` for new events. It may replace any of them, set `headers` to add to the request (the signature
+	 * headers can't be overridden), throw to reject the event or return `false` to skip it, in which case
+	 * the publish resolves with null. `data` is the object passed by the caller, replace it rather than
+	 * modifying it.
+	 * @param {Function} fn `async (ctx) => {}` middleware
+	 * @returns {PubSubClient} the client
+	 */
+	usePublish(fn) {
+		if (typeof fn !== 'function') {
+			throw new Error('middleware must be a function');
+		}
+		this.#publishMiddleware.push(fn);
+		return this;
+	}
+
+	/**
+	 * Add a middleware run on every received event, from webhooks or pull consumption, once it is
+	 * authenticated, validated and deduplicated and before it is emitted to the listeners.
+	 * Middleware run in the order they were added and may be async.
+	 *
+	 * It is called with a context `{ event, headers, source }`, where `source` is `webhook` or `pull` and
+	 * `headers` the webhook request headers. It may modify or replace `event`, return `false` to drop the
+	 * event (it is still acknowledged) or throw to fail it, in which case it is delivered again.
+	 * @param {Function} fn `async (ctx) => {}` middleware
+	 * @returns {PubSubClient} the client
+	 */
+	useConsume(fn) {
+		if (typeof fn !== 'function') {
+			throw new Error('middleware must be a function');
+		}
+		this.#consumeMiddleware.push(fn);
+		return this;
 	}
 
 	/**
@@ -108,6 +329,72 @@ class PubSubClient extends EventEmitter {
 		return super.on(name, fn);
 	}
 
+	/**
+	 * Subscribe to the events received for a topic or pattern
+	 * @param {String} pattern topic or pattern, e.g. `com.foo.*`
+	 * @param {Function} handler called with each received event, may return a promise
+	 * @returns {Subscription} subscription to `unsubscribe()` or dispose of
+	 */
+	subscribe(pattern, handler) {
+		if (typeof handler !== 'function') {
+			throw new TypeError('handler must be a function');
+		}
+		return new Subscription(this, pattern, handler);
+	}
+
+	/**
+	 * Iterate over the events received for a topic or pattern, e.g. `for await (const event of client.events('com.foo.*'))`.
+	 * The iteration ends when the signal is aborted, the loop exits or the client is closed.
+	 * @param {String} pattern topic or pattern
+	 * @param {Object} [opts] iterator options
+	 * @param {AbortSignal} [opts.signal] ends the iteration when aborted
+	 * @param {Number} [opts.highWaterMark=100] number of buffered events before awaited handlers are held back
+	 * @returns {AsyncIterableIterator<Object>} the events
+	 */
+	events(pattern, { signal, highWaterMark } = {}) {
+		this.#assertOpen();
+		const iterator = new EventIterator(this, pattern, { signal, highWaterMark }, ended => this.#iterators.delete(ended));
+		if (!iterator.ended) {
+			this.#iterators.add(iterator);
+		}
+		return iterator;
+	}
+
+	/**
+	 * Wait for the next event received for a topic or pattern
+	 * @param {String} topic topic or pattern
+	 * @param {Function} [predicate] only resolve with an event it returns true for
+	 * @param {Number} [timeout] time in ms to wait, forever if not set
+	 * @returns {Promise<Object>} the event
+	 * @throws {PubSubError} `timeout` when no matching event was received in time
+	 */
+	waitFor(topic, predicate, timeout) {
+		if (typeof predicate === 'number') {
+			[ predicate, timeout ] = [ undefined, predicate ];
+		}
+		return new Promise((resolve, reject) => {
+			let timer;
+			const subscription = this.subscribe(topic, event => {
+				try {
+					if (predicate && !predicate(event)) {
+						return;
+					}
+				} catch (err) {
+					return settle(reject, err);
+				}
+				settle(resolve, event);
+			});
+			const settle = (fn, value) => {
+				clearTimeout(timer);
+				subscription.unsubscribe();
+				fn(value);
+			};
+			if (timeout) {
+				timer = setTimeout(() => settle(reject, new PubSubError(`Timed out waiting for ${topic}`, 'timeout')), timeout);
+			}
+		});
+	}
+
 	/**
 	 * Middleware to authenticate incoming webhook request
 	 * @param {*} req request
@@ -116,14 +403,38 @@ class PubSubClient extends EventEmitter {
 	 * @returns {Promise<boolean>} whether the authentication was successful
 	 */
 	async authenticateWebhook(req, res, next) {
+		const rejection = await this.#authenticate(req, res);
+		if (rejection) {
+			return false;
+		}
+		next && next();
+		return true;
+	}
+
+	/**
+	 * Authenticate a webhook request, answering it if it fails
+	 * @param {*} req request
+	 * @param {*} res response
+	 * @returns {Promise<Object|null>} `{ status, reason }` when the request was rejected
+	 */
+	async #authenticate(req, res) {
 		if (req._authenticatedWebhook) {
-			next && next();
-			return true;
+			return null;
 		}
 
 		const body = await this.#parseBody(req, res);
 		if (!body) {
-			return false;
+			return this.#webhookRejected(req, 400, 'invalid_body');
+		}
+
+		// Events can't be authenticated until the config is loaded, ask the server to retry later
+		if (!this._config) {
+			this.#webhookResponse(res, 503, {
+				success: false,
+				message: 'Client not configured yet.'
+			});
+
+			return this.#webhookRejected(req, 503, 'not_configured');
 		}
 
 		// Make sure the client has consumption enabled
@@ -133,22 +444,43 @@ class PubSubClient extends EventEmitter {
 				message: 'This client does not have consumption enabled.'
 			});
 
-			return false;
+			return this.#webhookRejected(req, 400, 'consume_disabled');
 		}
 		logger.info('authenticating webhook using: method =', this._config.auth_type);
 
 		const conf = this._config;
 		const headers = req && req.headers || {};
 		const creds = auth(req);
-		// Validate request using clients authentication method
-		// Check the basic auth credentials match...
-		const authenticated = conf.auth_type === 'basic' ? creds.name === conf.auth_user && creds.pass === conf.auth_pass
+		// Validate request using clients authentication method, comparing secrets in constant time
+		let authenticated;
+		// Credentials replaced by a rotation remain valid during the grace period, every candidate is
+		// checked so timing doesn't reveal which one matched
+		if (conf.auth_type === 'basic') {
+			// Check the basic auth credentials match, comparing both so timing doesn't reveal which one failed...
+			authenticated = [ [ conf.auth_user, conf.auth_pass ], ...this.#validGraceCredentials('basic') ]
+				.map(([ user, pass ]) => [ safeEqual(creds?.name, user), safeEqual(creds?.pass, pass) ])
+				.some(([ user, pass ]) => user && pass);
+		} else if (conf.auth_type === 'token') {
 			// ...or the request has the correct auth token
-			: conf.auth_type === 'token' ? headers['x-auth-token'] === conf.auth_token
-				// ...or the signature matches the body signed with the client secret
-				: conf.auth_type === 'key_secret' ? headers['x-signature'] === createHmac('SHA256', this.#secret).update(JSON.stringify(body)).digest('hex')
-					// ...otherwise there's no authentication for the client
-					: true;
+			authenticated = [ conf.auth_token, ...this.#validGraceCredentials('token') ]
+				.map(token => safeEqual(headers['x-auth-token'], token))
+				.includes(true);
+		} else if (conf.auth_type === 'key_secret') {
+			// ...or the signature matches the body (and timestamp, if sent) signed with the client secret
+			authenticated = [ this.#secret, ...this.#validGraceCredentials('secret') ]
+				.map(secret => verifyWebhookSignature({
+					secret,
+					body: JSON.stringify(body),
+					signature: headers['x-signature'],
+					timestamp: headers['x-signature-timestamp'],
+					tolerance: this.#signatureTolerance,
+					requireTimestamp: this.#requireTimestamp
+				}))
+				.includes(true);
+		} else {
+			// ...otherwise there's no authentication for the client
+			authenticated = true;
+		}
 
 		// Make sure the request is from pubsub server
 		if (!authenticated) {
@@ -159,11 +491,10 @@ class PubSubClient extends EventEmitter {
 				message: 'Unauthorized.'
 			});
 
-			return false;
+			return this.#webhookRejected(req, 401, 'unauthorized');
 		}
 		req._authenticatedWebhook = true;
-		next && next();
-		return true;
+		return null;
 	}
 
 	/**
@@ -173,23 +504,235 @@ class PubSubClient extends EventEmitter {
 	 * @returns {Promise<void>}
 	 */
 	async handleWebhook(req, res) {
-		if (!await this.authenticateWebhook(req, res)) {
-			return;
+		const span = this.#tracing?.startSpan('receive', {
+			kind: 'consumer',
+			attributes: { 'messaging.operation.type': 'receive' },
+			traceparent: req.headers?.traceparent
+		});
+		try {
+			const { status, topic, error } = await this.#receiveWebhook(req, res);
+			span && this.#tracing.endSpan(span, {
+				error: error || (status >= 400 ? new PubSubError(`Webhook answered with ${status}`, 'webhook_rejected') : undefined),
+				attributes: { 'messaging.destination.name': topic, 'http.response.status_code': status }
+			});
+		} catch (err) {
+			span && this.#tracing.endSpan(span, { error: err });
+			throw err;
 		}
+	}
 
-		const body = await this.#parseBody(req, res);
-		if (!body) {
-			return;
+	/**
+	 * Authenticate a webhook and emit its event
+	 * @param {*} req request
+	 * @param {*} res response
+	 * @returns {Promise<Object>} `{ status, topic, error }`, the status the request was answered with
+	 */
+	async #receiveWebhook(req, res) {
+		const rejection = await this.#authenticate(req, res);
+		if (rejection) {
+			return rejection;
 		}
 
-		logger.info(`Event received: ${body.topic}`);
+		const parsed = await this.#parseBody(req, res);
+		if (!parsed) {
+			return { status: 400 };
+		}
+		const body = this.#normalizeEvent(parsed, req.headers);
+		const { topic } = body;
+		this.#metrics.increment('webhooks_received_total', { auth_type: this.#authType() });
+
+		logger.info(`Event received: ${topic}`);
+
+		const invalid = this.#validateWebhooks && this.hasSubscribedTopic(topic) && this.#validationError(topic, body.data);
+		if (invalid) {
+			logger.error(invalid.message);
+			if (this.#validateWebhooks === 'reject') {
+				this.#webhookResponse(res, 400, { success: false, message: invalid.message, errors: invalid.errors });
+				return { ...this.#webhookRejected(req, 400, 'invalid_event'), topic, error: invalid };
+			}
+			// Acknowledge so the server does not deliver it again, the listener decides what to do with it
+			this.emit('invalidEvent', invalid, body);
+			this.#webhookResponse(res, 200, { success: true });
+			return { status: 200, topic };
+		}
+
+		// Ignore events that were already delivered, acknowledging them so they aren't sent again
+		if (this.#dedupe && body.id !== undefined && body.id !== null && !await this.#dedupe.add(String(body.id))) {
+			logger.info(`Duplicate event ignored: ${body.id}`);
+			this.emit('duplicate', body);
+			this.#webhookResponse(res, 200, { success: true });
+			return { status: 200, topic };
+		}
+
+		let event;
+		try {
+			event = await this.#runConsumeMiddleware(body, req.headers, 'webhook');
+		} catch (error) {
+			if (this.#dedupe && body.id !== undefined && body.id !== null) {
+				await this.#dedupe.delete(String(body.id));
+			}
+			this.#emitError(error);
+			this.#webhookResponse(res, 500, { success: false, message: error.message });
+			return { ...this.#webhookRejected(req, 500, error.code), topic, error };
+		}
+		if (!event) {
+			this.#webhookResponse(res, 200, { success: true });
+			return { status: 200, topic };
+		}
 
-		if (this.hasSubscribedTopic(body.topic)) {
-			this.emit(`event:${body.topic}`, body);
+		if (this.#awaitHandlers) {
+			// Only acknowledge once every listener finished, so the server redelivers on failure
+			const error = this.hasSubscribedTopic(event.topic) && await this.#runHandlers(event.topic, event);
+			if (error) {
+				if (this.#dedupe && body.id !== undefined && body.id !== null) {
+					await this.#dedupe.delete(String(body.id));
+				}
+				this.#emitError(error);
+				const status = error.code === 'handler_timeout' ? 503 : 500;
+				this.#webhookResponse(res, status, {
+					success: false,
+					message: error.message
+				});
+				return { ...this.#webhookRejected(req, status, error.code), topic, error };
+			}
+		} else if (this.hasSubscribedTopic(event.topic)) {
+			try {
+				this.#emitEvent(event.topic, event);
+			} catch (e) {
+				// The request fails, forget the id so the redelivery is not ignored as a duplicate
+				if (this.#dedupe && body.id !== undefined && body.id !== null) {
+					await this.#dedupe.delete(String(body.id));
+				}
+				throw e;
+			}
 		}
 
 		// Confirm receipt to the webhook request
 		this.#webhookResponse(res, 200, { success: true });
+		return { status: 200, topic };
+	}
+
+	/**
+	 * Count a rejected webhook, unless the request is only being probed by a `WebhookRouter`
+	 * @param {*} req request
+	 * @param {Number} status status the request was answered with
+	 * @param {String} reason why the request was rejected
+	 * @returns {Object} `{ status, reason }`
+	 */
+	#webhookRejected(req, status, reason) {
+		if (!req._pubsubProbe) {
+			this.#metrics.increment('webhooks_rejected_total', { auth_type: this.#authType(), reason });
+		}
+		return { status, reason };
+	}
+
+	#authType() {
+		return this._config?.auth_type || (this._config ? 'none' : 'unknown');
+	}
+
+	/**
+	 * Metrics collected since the client was created, see `toPrometheus()` to expose them to Prometheus
+	 * @returns {Object} `{ counters, histograms }`, each metric as a list of series with their `labels`
+	 */
+	metrics() {
+		return this.#metrics.snapshot();
+	}
+
+	/**
+	 * Replace the key and secret without restarting. Requests are signed with the new credentials straight
+	 * away, including retries of events already queued, while webhooks signed with the previous secret are
+	 * accepted during the grace period. The config is then fetched again with the new key.
+	 * @param {Object} credentials new credentials
+	 * @param {String} [credentials.key] new key, the current one is kept if not set
+	 * @param {String} credentials.secret new secret
+	 * @param {Number} [credentials.gracePeriod] time in ms the previous webhook credentials remain valid,
+	 * defaults to `webhook.gracePeriod`
+	 * @returns {Promise<Object>} the config fetched with the new credentials
+	 * @throws {Error} when the config could not be fetched, the new credentials remain in use
+	 */
+	async rotateCredentials({ key = this.#key, secret, gracePeriod = this.#gracePeriod } = {}) {
+		this.#assertOpen();
+		if (!key || typeof key !== 'string') {
+			throw new Error('Missing required option: key');
+		}
+		if (!secret || typeof secret !== 'string') {
+			throw new Error('Missing required option: secret');
+		}
+
+		const previousKey = this.#key;
+		if (secret !== this.#secret) {
+			this.#addGraceCredentials('secret', this.#secret, gracePeriod);
+		}
+		this.#key = key;
+		this.#secret = secret;
+		logger.info('Credentials rotated', previousKey, '->', key);
+		this.emit('credentialsRotated', { key, previousKey, gracePeriod });
+
+		try {
+			await this._fetchConfig();
+		} catch (err) {
+			this.#configFailed(err);
+			throw err;
+		}
+		return this._config;
+	}
+
+	/**
+	 * Start an HTTP(S) server receiving webhooks. It is closed along with the client.
+	 * @param {Object} [opts] server options
+	 * @param {Number} [opts.port=0] port to listen on, a random free one by default
+	 * @param {String} [opts.host] host to listen on, all interfaces by default
+	 * @param {String} [opts.path='/'] route the PubSub server delivers events to
+	 * @param {String|null} [opts.healthPath='/health'] route answering health checks, `null` to disable
+	 * @param {Object} [opts.tls] `https.createServer()` options, e.g. `{ key, cert }`, plain HTTP if not set
+	 * @returns {Promise<http.Server|https.Server>} the listening server
+	 */
+	async listen({ port = 0, host, path = '/', healthPath = '/health', tls } = {}) {
+		this.#assertOpen();
+		const server = createReceiver(this, { path, healthPath, tls }, err => {
+			logger.error('Failed to handle webhook', err);
+			this.#emitError(err);
+		});
+		await new Promise((resolve, reject) => {
+			server.once('error', reject);
+			server.listen(port, host, () => {
+				server.off('error', reject);
+				resolve();
+			});
+		});
+		logger.info('Receiving webhooks on', server.address());
+		this.#servers.add(server);
+		server.once('close', () => this.#servers.delete(server));
+		return server;
+	}
+
+	/**
+	 * Pull events from the PubSub server instead of receiving webhooks, e.g. from behind NAT or in batch jobs.
+	 * Events are emitted to the `event:<topic>` listeners like webhooks and acknowledged once every listener
+	 * succeeded, failed ones are reported as `error` events and delivered again by the server.
+	 * @param {Object} [opts] consumer options
+	 * @param {Array<String>} [opts.topics] topics or patterns to pull, all subscribed topics by default
+	 * @param {Number} [opts.pollInterval=1000] time in ms to wait before pulling again when no events were pending
+	 * @param {Number} [opts.wait=0] time in ms the server may hold the request until an event arrives (long polling)
+	 * @param {Number} [opts.limit=100] maximum number of events pulled at once
+	 * @param {String} [opts.cursor] position to start from, overrides the checkpoint
+	 * @param {Object|Boolean} [opts.checkpoint] save the cursor: `true` in memory, `{ path }` to a file or `{ store }`
+	 * @returns {Consumer} the consumer, with `pause()`, `resume()` and `stop()`
+	 */
+	consume(opts = {}) {
+		this.#assertOpen();
+		const consumer = new Consumer(opts, {
+			pull: (query, signal) => this.#pullEvents(query, signal),
+			ack: (ids, cursor) => this.#ackEvents(ids, cursor),
+			handle: event => this.#consumeEvent(event),
+			onError: err => {
+				logger.error('Consumer failed', err.message);
+				this.#emitError(err);
+			},
+			onStop: () => this.#consumers.delete(consumer)
+		});
+		this.#consumers.add(consumer);
+		return consumer;
 	}
 
 	/**
@@ -197,10 +740,97 @@ class PubSubClient extends EventEmitter {
 	 * @param {String} event event name
 	 * @param {Object} data event data
 	 * @param {Object} options event options
-	 * @returns {*}
+	 * @param {Object} [settings] client settings for this call
+	 * @param {Object} [settings.redaction] redaction overrides, see `Redactor#redact()`
+	 * @returns {Promise<Object>} delivery receipt once the event is accepted, see `_send()`
 	 */
-	async publish(event, data = {}, options = {}) {
+	async publish(event, data = {}, options = {}, { redaction } = {}) {
 		logger.info('publish', event);
+		this.#assertOpen();
+		this.#assertCanPublish();
+		const ctx = { event, data, options, headers: {} };
+		if (this.#publishMiddleware.length && !await this.#track(this.#runPublishMiddleware(ctx))) {
+			return null;
+		}
+		const payload = this.#prepareEvent(ctx.event, ctx.data, ctx.options, redaction);
+
+		// Generate identifier, persist to the outbox if enabled and send event.
+		const id = this.#makeId(ctx.event);
+		this.#addPublishHeaders(id, ctx.headers);
+		return this.#enqueue(id, payload);
+	}
+
+	/**
+	 * Publish several events to PubSub server in a single request
+	 * @param {Array<Object>} entries events to publish, each as `{ event, data, options, redaction }`
+	 * @returns {Promise<Array<Object>>} result for each entry in the same order, in the shape of `Promise.allSettled()`:
+	 * `{ status: 'fulfilled', value: receipt }` or `{ status: 'rejected', reason: error }`. In fire-and-forget mode
+	 * the entries sent are fulfilled without a receipt and only the ones rejected locally are reported.
+	 */
+	async publishBatch(entries) {
+		logger.info('publishBatch', entries?.length);
+		this.#assertOpen();
+		this.#assertCanPublish();
+		if (!Array.isArray(entries)) {
+			throw new Error('entries must be an array');
+		}
+		// The batch is sent as a single request, taking a single place in the queue
+		const reservation = this.#limiter && (this.#limiter.reserve() || await this.#admit());
+
+		// Validate every entry, invalid entries are reported without being sent
+		const results = new Array(entries.length);
+		const items = [];
+		for (const [ index, entry ] of entries.entries()) {
+			try {
+				const { event, data = {}, options = {}, redaction } = entry || {};
+				const ctx = { event, data, options, headers: {} };
+				if (this.#publishMiddleware.length && !await this.#track(this.#runPublishMiddleware(ctx))) {
+					results[index] = { status: 'fulfilled', value: null };
+					continue;
+				}
+				const payload = this.#prepareEvent(ctx.event, ctx.data, ctx.options, redaction);
+				const id = this.#makeId(ctx.event);
+				this.#addPublishHeaders(id, ctx.headers);
+				items.push({ index, id, data: payload });
+			} catch (reason) {
+				results[index] = { status: 'rejected', reason };
+			}
+		}
+
+		if (reservation && items.length) {
+			this.#reservations.set(items[0].id, reservation);
+		} else if (reservation) {
+			reservation();
+		}
+		const delivery = this.#track(this.#reserved(items.map(item => item.id), async () => {
+			if (this.#outbox) {
+				for (const item of items) {
+					await this.#outbox.add(item.id, item.data);
+				}
+			}
+			return this._sendBatch(items.map(({ id, data }) => ({ id, data })));
+		}));
+		if (this.#fireAndForget) {
+			// Nobody waits on the delivery, but entries that were not sent are still reported
+			this.#deliver(delivery);
+			items.forEach(item => results[item.index] = { status: 'fulfilled', value: undefined });
+			return results;
+		}
+		(await delivery).forEach((result, i) => {
+			results[items[i].index] = result;
+		});
+		return results;
+	}
+
+	/**
+	 * Validate an event and build the payload sent to the PubSub server
+	 * @param {String} event event name
+	 * @param {Object} data event data
+	 * @param {Object} options event options
+	 * @param {Object} [redaction] redaction overrides
+	 * @returns {Object} payload, a structured-mode CloudEvent in CloudEvents mode
+	 */
+	#prepareEvent(event, data, options, redaction) {
 		if (!event) {
 			throw new Error('required event name');
 		}
@@ -214,20 +844,17 @@ class PubSubClient extends EventEmitter {
 			throw new Error('options must be an object');
 		}
 
-		// Clone data before serialization pass so objects are not modified.
-		try {
-			data = this.#sanitize(JSON.parse(JSON.stringify(data)));
-		} catch (_e) {
-			throw new Error('data could not be parsed');
-		}
+		data = this.#prepareData(data, redaction, event);
 
 		// Default timestamp if not provided.
 		if (!options.timestamp) {
 			options.timestamp = Date.now();
 		}
 
-		// Generate identifier and send event.
-		await this._send(event + '-' + Date.now(), { data, event, options });
+		if (this.#cloudEvents) {
+			return toCloudEvent(event, data, options, this.#cloudEvents.source);
+		}
+		return { data, event, options };
 	}
 
 	/**
@@ -235,10 +862,14 @@ class PubSubClient extends EventEmitter {
 	 * @param {String} id event identifier
 	 * @param {Object} data event data
 	 * @param {Object} options event options
-	 * @returns {*}
+	 * @param {Object} [settings] client settings for this call
+	 * @param {Object} [settings.redaction] redaction overrides, see `Redactor#redact()`
+	 * @returns {Promise<Object>} delivery receipt once the update is accepted, see `_send()`
 	 */
-	async update(id, data = {}, options = {}) {
+	async update(id, data = {}, options = {}, { redaction } = {}) {
 		logger.info('patch', id);
+		this.#assertOpen();
+		this.#assertCanPublish();
 		if (!id) {
 			throw new Error('required event id');
 		}
@@ -249,121 +880,925 @@ class PubSubClient extends EventEmitter {
 			throw new Error('options must be an object');
 		}
 
+		const ctx = { id, data, options, headers: {} };
+		if (this.#publishMiddleware.length && !await this.#track(this.#runPublishMiddleware(ctx))) {
+			return null;
+		}
+		data = this.#prepareData(ctx.data || {}, redaction);
+
+		// Generate identifier, persist to the outbox if enabled and send event.
+		const localId = this.#makeId(ctx.id);
+		this.#addPublishHeaders(localId, ctx.headers);
+		return this.#enqueue(localId, { id: ctx.id, data, options: ctx.options });
+	}
+
+	/**
+	 * Run the publish middleware. Callers skip it when there is none, so events are still queued in the
+	 * same tick, and track it so `flush()` waits for the middleware too.
+	 * @param {Object} ctx event context, see `usePublish()`
+	 * @returns {Promise<Boolean>} false if a middleware skipped the event
+	 */
+	async #runPublishMiddleware(ctx) {
+		for (const fn of this.#publishMiddleware) {
+			if (await fn(ctx) === false) {
+				logger.info('Event skipped by middleware', ctx.event ?? ctx.id);
+				return false;
+			}
+		}
+		return true;
+	}
+
+	#addPublishHeaders(id, headers) {
+		if (headers && Object.keys(headers).length) {
+			this.#publishHeaders.set(id, headers);
+		}
+	}
+
+	/**
+	 * Clone event data, validate it against the schema of its topic and redact it
+	 * @param {Object} data event data
+	 * @param {Object} [redaction] redaction overrides
+	 * @param {String} [topic] event topic, validation is skipped if not set
+	 * @returns {Object} redacted copy of the data
+	 * @throws {ValidationError} when the data does not match the schema
+	 */
+	#prepareData(data, redaction, topic) {
 		// Clone data before serialization pass so objects are not modified.
 		try {
-			data = this.#sanitize(JSON.parse(JSON.stringify(data || {})));
+			data = JSON.parse(JSON.stringify(data));
 		} catch (_e) {
 			throw new Error('data could not be parsed');
 		}
+		const invalid = topic && this.#validationError(topic, data);
+		if (invalid) {
+			throw invalid;
+		}
+		return this.#redactor.redact(data, redaction);
+	}
 
-		// Generate identifier and send event.
-		await this._send(id + '-' + Date.now(), { id, data, options });
+	/**
+	 * Validate event data against the schemas registered for its topic
+	 * @param {String} topic event topic
+	 * @param {*} data event data
+	 * @returns {ValidationError|null} the validation failure, or null if the data is valid
+	 */
+	#validationError(topic, data) {
+		const errors = this.#schemas.size ? this.#schemas.validate(topic, data) : [];
+		if (!errors.length) {
+			return null;
+		}
+		const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+		return new ValidationError(`Invalid data for ${topic}: ${errors[0].message}${more}`, 'invalid_data', { topic, errors });
 	}
 
 	/**
-	 * Send event to the PubSub server
+	 * Persist the event to the outbox when enabled, then send it
 	 * @param {String} id event identifier
 	 * @param {Object} data event data
-	 * @returns {*}
+	 * @returns {Promise<Object|undefined>} the delivery receipt, or nothing in fire-and-forget mode
 	 */
-	async _send(id, data) {
-		logger.info('send', id, data);
-
-		// Fall out if no event or id set.
-		if (!data?.event && !data?.id) {
-			return;
+	async #enqueue(id, data) {
+		const reservation = this.#limiter && (this.#limiter.reserve() || await this.#admit());
+		if (reservation) {
+			this.#reservations.set(id, reservation);
 		}
+		const delivery = this.#reserved([ id ], async () => {
+			if (this.#outbox) {
+				await this.#outbox.add(id, data);
+			}
+			// New events are grouped into batches when enabled, updates are always sent on their own
+			return this.#batcher && (data.event || isCloudEvent(data)) ? this.#batcher.add({ id, data }) : this._send(id, data);
+		});
+		return this.#deliver(this.#track(delivery));
+	}
 
-		this.#retries[id] = (this.#retries[id] || 0) + 1;
-
-		const url = new URL('/api/event', this.#url);
-		const body = JSON.stringify(data);
-		const opts = {
-			url: url.href,
-			method: 'POST',
-			headers: this.#makeHeaders(body),
-			body,
-			signal: AbortSignal.timeout(this.#timeout)
-		};
-
-		if (data.id) {
-			opts.url += `/${data.id}`;
-			opts.method = 'PATCH';
+	/**
+	 * Apply backpressure when the outbound queue is full, either waiting for room or refusing the event.
+	 * Callers first try to reserve a place synchronously, so events published at once count against `maxQueue`.
+	 * @returns {Promise<Function>} function releasing the place reserved once there is room, see `RateLimiter#reserve()`
+	 * @throws {PubSubError} when the queue is full and set to reject
+	 */
+	async #admit() {
+		if (this.#limiter.whenFull === 'reject') {
+			throw new PubSubError('Outbound queue full', 'queue_full');
 		}
-
+		const waited = await this.#limiter.waitForRoom();
 		try {
-			const resp = await fetch(opts.url, opts);
-			if (resp.ok) {
-				delete this.#retries[id];
-				// emit an event
-				this.emit('response', resp, opts);
-
-				logger.info('response received, status:', resp.status);
-				return;
-			}
-
-			const err = new Error('invalid response');
-			err.code = resp.status;
-
-			// if 401, that means the apikey or secret is wrong or event is not allowed; do not attempt to retry
-			// if 403, that means patch is called with wrong client
-			if (err.code === 401 || err.code === 403) {
-				err.message = 'Unauthorized';
-				this.emit('unauthorized', String(err), opts);
-				return logger.error('sending event failed', String(err));
-			}
-
-			// if 404, that means the id given for PATCH event is not found
-			if (err.code === 404) {
-				err.message = 'NotFound';
-				this.emit('notfound', String(err), opts);
-				return logger.error('updating event failed', String(err));
-			}
-
-			// if 400, that means the event failed validation; do not attempt to retry
-			if (err.code === 400) {
-				err.message = 'Failed';
-				return logger.error('sending event failed', await resp.text());
-			}
-
-			// Otherwise, since it wasn't a validation or authorization error, log and retry.
-			logger.error('received error', String(err), opts);
-
-			// run again with exponential backoff each time
-			const retryAfter = Math.max(500, (Math.pow(2, this.#retries[id]) - 1) * 500);
-
-			if (this.#retries[id] > this.#retryLimit) {
-				logger.error('Retry limit exceeded', new Error().stack);
-			} else {
-				logger.info(`Retry scheduled after ${retryAfter}ms`, err.code, opts);
-				setTimeout(() => this._send(id, data), retryAfter);
-				this.emit('retry', err.code, opts, this.#retries[id]);
-			}
+			this.#assertOpen();
 		} catch (e) {
-			// axios throwing outright (and not getting caught) likely means invalid opts.
-			// Log, but do not retry.
-			logger.error('web request received error', e, opts);
+			waited();
+			throw e;
 		}
+		return waited;
 	}
 
 	/**
-	 * Initiate fetch of this client's configuration from PubSub server
-	 * Sets the fetched configuration in this._config and fires 'configured'
+	 * Run a send, then release the places its events reserved in the queue if it never made a request
+	 * @param {Array<String>} ids identifiers of the events sent
+	 * @param {Function} fn sends the events
+	 * @returns {Promise<*>} result of the send
 	 */
-	async _fetchConfig() {
-		logger.info('Fetching client config', this.#key);
+	async #reserved(ids, fn) {
+		try {
+			return await fn();
+		} finally {
+			ids.forEach(id => this.#takeReservation(id)?.());
+		}
+	}
 
-		const response = await fetch(new URL('/api/config', this.#url), {
-			headers: this.#makeHeaders('{}'),
-			signal: AbortSignal.timeout(this.#timeout),
-		});
+	#takeReservation(id) {
+		const reservation = this.#reservations.get(id);
+		this.#reservations.delete(id);
+		return reservation;
+	}
 
-		if (!response.ok) {
-			const message = `Failed to fetch config: ${await response.text()}`;
-			logger.error(message);
-			throw new Error(message);
+	/**
+	 * Run a request once the rate limit lets it through
+	 * @param {Function} fn makes the request
+	 * @param {Array<String>} [ids] identifiers of the events sent, their reserved places are taken by the request
+	 * @returns {Promise<*>} result of the request
+	 */
+	async #limited(fn, ids = []) {
+		if (!this.#limiter) {
+			return fn();
 		}
-
+		const reservations = ids.map(id => this.#takeReservation(id)).filter(Boolean);
+		const release = await this.#limiter.acquire(() => reservations.forEach(reservation => reservation()));
+		try {
+			return await fn();
+		} finally {
+			release();
+		}
+	}
+
+	/**
+	 * Keep track of a pending send until it settles so it can be flushed
+	 * @param {Promise<Object>} delivery pending delivery
+	 * @returns {Promise<Object>} the same delivery
+	 */
+	#track(delivery) {
+		delivery = Promise.resolve(delivery);
+		const settled = delivery.catch(() => {}).then(() => this.#pendingSends.delete(settled));
+		this.#pendingSends.add(settled);
+		return delivery;
+	}
+
+	/**
+	 * Wait for a retry delay, unless the client is closed in the meantime
+	 * @param {Number} ms delay in ms
+	 * @param {String} id event identifier
+	 * @returns {Promise<void>}
+	 * @throws {DeliveryError} when the client is closed while waiting
+	 */
+	#waitForRetry(ms, id) {
+		return new Promise((resolve, reject) => {
+			const retry = {
+				timer: setTimeout(() => {
+					this.#retryTimers.delete(retry);
+					resolve();
+				}, ms),
+				cancel: () => reject(new DeliveryError('Client closed', 'closed', { id, attempts: this.#retries[id] }))
+			};
+			this.#retryTimers.add(retry);
+		});
+	}
+
+	/**
+	 * List the events in the dead-letter store, oldest failure first
+	 * @param {Object} [filter] entry filter
+	 * @param {Array<String>} [filter.ids] event identifiers
+	 * @param {String} [filter.topic] topic of the events
+	 * @param {String} [filter.code] code of the last error, e.g. `rejected` or `retry_limit`
+	 * @param {Number} [filter.before] only entries that last failed before this time in ms
+	 * @param {Number} [filter.limit] maximum number of entries
+	 * @returns {Promise<Array<Object>>} entries as `{ id, topic, data, error, attempts, history, replays, createdAt, updatedAt }`
+	 * @throws {PubSubError} when the dead-letter store is not enabled
+	 */
+	async listDeadLetters(filter) {
+		return this.#assertDeadLetters().list(filter);
+	}
+
+	/**
+	 * Get an event from the dead-letter store
+	 * @param {String} id event identifier
+	 * @returns {Promise<Object|null>} the entry, or null if there is none
+	 * @throws {PubSubError} when the dead-letter store is not enabled
+	 */
+	async getDeadLetter(id) {
+		return this.#assertDeadLetters().get(id);
+	}
+
+	/**
+	 * Send an event from the dead-letter store again. It leaves the store once accepted, otherwise the
+	 * entry is updated with the new error and attempts.
+	 * @param {String} id event identifier
+	 * @returns {Promise<Object>} delivery receipt, see `_send()`
+	 * @throws {PubSubError} `not_found` when there is no such entry
+	 * @throws {DeliveryError} when the event is not accepted
+	 */
+	async replayDeadLetter(id) {
+		this.#assertOpen();
+		const entry = await this.#assertDeadLetters().get(id);
+		if (!entry) {
+			throw new PubSubError(`No dead letter: ${id}`, 'not_found');
+		}
+		logger.info('Replaying dead letter', id);
+		const receipt = await this.#track(this._send(id, entry.data));
+		await this.#deadLetters.remove(id);
+		return receipt;
+	}
+
+	/**
+	 * Remove events from the dead-letter store
+	 * @param {Object} [filter] entry filter, see `listDeadLetters()`, every entry if not set
+	 * @returns {Promise<Number>} number of entries removed
+	 * @throws {PubSubError} when the dead-letter store is not enabled
+	 */
+	async purgeDeadLetters(filter) {
+		const entries = await this.#assertDeadLetters().list(filter);
+		for (const entry of entries) {
+			await this.#deadLetters.remove(entry.id);
+		}
+		return entries.length;
+	}
+
+	/**
+	 * Wait for all pending sends, including their retries, to settle
+	 * @param {Number} [timeoutMs] maximum time to wait in ms
+	 * @returns {Promise<Boolean>} true if everything settled, false if the timeout was reached first
+	 */
+	async flush(timeoutMs) {
+		let timer;
+		const timeout = timeoutMs > 0 && new Promise(resolve => {
+			timer = setTimeout(() => resolve(false), timeoutMs);
+		});
+
+		// Don't wait for a partial batch to linger
+		this.#batcher?.flush();
+
+		try {
+			// Sends may start while waiting (e.g. outbox replay), keep going until none are left
+			while (this.#pendingSends.size) {
+				const settled = Promise.all(this.#pendingSends).then(() => true);
+				if (!await (timeout ? Promise.race([ settled, timeout ]) : settled)) {
+					return false;
+				}
+			}
+			return true;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	/**
+	 * Shut the client down. Stops reconfiguration, settles pending sends and rejects further publishes.
+	 * @param {Object} [opts] close options
+	 * @param {Boolean} [opts.finishRetries=false] wait for pending sends and their retries before closing,
+	 * otherwise scheduled retries are cancelled straight away
+	 * @param {Number} [opts.timeout] maximum time in ms to wait when finishing retries
+	 * @returns {Promise<void>}
+	 */
+	async close({ finishRetries = false, timeout } = {}) {
+		if (this.#closed) {
+			return;
+		}
+		logger.info('Closing client', this.#key);
+		this.#closed = true;
+
+		clearInterval(this.#reconfigureInterval);
+		this.#reconfigureInterval = null;
+		this.#batcher?.flush();
+
+		// Stop receiving events, letting the ones in progress finish
+		await Promise.all([ ...this.#consumers ].map(consumer => consumer.stop()));
+		this.#iterators.forEach(iterator => iterator.return());
+		await Promise.all([ ...this.#servers ].map(server => new Promise(resolve => {
+			server.close(() => resolve());
+			server.closeIdleConnections();
+		})));
+
+		if (finishRetries) {
+			await this.flush(timeout);
+		}
+
+		// Cancel whatever is still waiting to retry and abort requests in flight
+		this.#retryTimers.forEach(retry => {
+			clearTimeout(retry.timer);
+			retry.cancel();
+		});
+		this.#retryTimers.clear();
+		this.#abortController.abort();
+		this.#limiter?.release();
+
+		await this.flush();
+		this.emit('closed');
+	}
+
+	/**
+	 * Generate a unique local identifier for tracking an event through retries
+	 * @param {String} name event name or id
+	 * @returns {String} identifier
+	 */
+	#makeId(name) {
+		return `${name}-${Date.now()}-${++this.#sequence}`;
+	}
+
+	/**
+	 * Resend every event left in the outbox by a previous process
+	 */
+	async #replayOutbox() {
+		let entries;
+		try {
+			entries = await this.#outbox.load();
+		} catch (e) {
+			return logger.error('Failed to load outbox', e);
+		}
+		logger.info('Replaying outbox', entries.length);
+		entries.forEach(entry => this.#track(this._send(entry.id, entry.data)).catch(() => {}));
+	}
+
+	/**
+	 * Resolve the result of a send according to the delivery mode
+	 * @param {Promise<Object>} delivery pending delivery
+	 * @returns {Promise<Object|undefined>} the delivery receipt, or nothing in fire-and-forget mode
+	 */
+	#deliver(delivery) {
+		if (!this.#fireAndForget) {
+			return delivery;
+		}
+		// Errors are already logged and emitted by the send, nobody is waiting on the outcome.
+		Promise.resolve(delivery).catch(() => {});
+	}
+
+	/**
+	 * Send event to the PubSub server, retrying according to the retry policy until it is accepted
+	 * @param {String} id event identifier
+	 * @param {Object} data event data
+	 * @returns {Promise<Object>} delivery receipt containing the server assigned `id`, the response `status`,
+	 * the number of `attempts` and the `latency` in ms
+	 * @throws {DeliveryError} when the event is permanently rejected or the retry limit is exceeded
+	 */
+	async _send(id, data) {
+		logger.info('send', id, data);
+
+		// Fall out if no event or id set.
+		if (!data?.event && !data?.id) {
+			return;
+		}
+
+		const started = Date.now();
+		const span = this.#tracing?.startSpan(`publish ${data.event ?? data.type ?? data.id}`, {
+			kind: 'producer',
+			attributes: { 'messaging.operation.type': data.event || isCloudEvent(data) ? 'send' : 'update', 'messaging.destination.name': data.event ?? data.type }
+		});
+		let delay;
+		try {
+			while (true) {
+				let opts;
+				try {
+					await this.#acquireCircuit(id);
+					const receipt = await this.#limited(async () => {
+						// Build the request once it is let through so the timeout doesn't run while queued
+						opts = await this.#requestOptions(data, this.#publishHeaders.get(id));
+						span && this.#tracing.inject(span, opts.headers);
+						return this.#attempt(id, data, opts);
+					}, [ id ]);
+					// Only an accepted event may leave the outbox
+					await this.#outbox?.remove(id);
+					this.#delivered(started, span, receipt);
+					return { ...receipt, latency: Date.now() - started };
+				} catch (err) {
+					delay = this.#retryDelay(err, id, opts, delay);
+					logger.info(`Retry scheduled after ${delay}ms`, err.status, opts);
+					await this.#waitForRetry(delay, id);
+				}
+			}
+		} catch (e) {
+			this.#failed(span, e);
+			await this.#dropRejected(id, e);
+			await this.#deadLetter(id, data, e);
+			throw e;
+		} finally {
+			delete this.#retries[id];
+			delete this.#history[id];
+			this.#publishHeaders.delete(id);
+		}
+	}
+
+	/**
+	 * Send several events to the PubSub server in a single request.
+	 * Entries the server fails to accept are retried on their own according to the retry policy.
+	 * Events the publish middleware added different headers to are sent in separate requests.
+	 * @param {Array<Object>} items events to send, each as `{ id, data }`
+	 * @returns {Promise<Array<Object>>} result for each item in the same order, in the shape of `Promise.allSettled()`
+	 */
+	async _sendBatch(items) {
+		const groups = this.#groupByHeaders(items);
+		if (groups.length > 1) {
+			const results = new Array(items.length);
+			await Promise.all(groups.map(async group => {
+				const outcomes = await this._sendBatch(group.map(({ item }) => item));
+				group.forEach(({ index }, i) => results[index] = outcomes[i]);
+			}));
+			return results;
+		}
+
+		logger.info('send batch', items.length);
+
+		const started = Date.now();
+		const results = new Array(items.length);
+		let pending = items.map((item, index) => ({ ...item, index }));
+		const span = this.#tracing?.startSpan('publish batch', {
+			kind: 'producer',
+			attributes: { 'messaging.operation.type': 'send', 'messaging.batch.message_count': items.length }
+		});
+		let delay;
+		try {
+			while (pending.length) {
+				let opts;
+				let outcomes;
+				try {
+					await this.#acquireCircuit(pending[0].id);
+					outcomes = await this.#limited(async () => {
+						opts = await this.#batchRequestOptions(pending);
+						span && this.#tracing.inject(span, opts.headers);
+						return this.#attemptBatch(pending, opts);
+					}, pending.map(item => item.id));
+				} catch (err) {
+					// The request as a whole failed, every entry shares the outcome
+					outcomes = pending.map(item => {
+						const error = new DeliveryError(err.message, err.code, {
+							id: item.id,
+							status: err.status,
+							attempts: this.#retries[item.id],
+							cause: err.cause
+						});
+						error.retryAfter = err.retryAfter;
+						return { error };
+					});
+				}
+
+				const retries = [];
+				for (const [ i, item ] of pending.entries()) {
+					const { receipt, error } = outcomes[i];
+					if (receipt) {
+						await this.#outbox?.remove(item.id);
+						this.#delivered(started, null, receipt);
+						results[item.index] = { status: 'fulfilled', value: { ...receipt, latency: Date.now() - started } };
+						continue;
+					}
+					try {
+						retries.push({ item, delay: this.#retryDelay(error, item.id, opts, delay) });
+					} catch (reason) {
+						this.#failed(null, reason);
+						await this.#dropRejected(item.id, reason);
+						await this.#deadLetter(item.id, item.data, reason);
+						results[item.index] = { status: 'rejected', reason };
+					}
+				}
+
+				pending = retries.map(retry => retry.item);
+				if (pending.length) {
+					delay = Math.max(...retries.map(retry => retry.delay));
+					logger.info(`Batch retry of ${pending.length} events scheduled after ${delay}ms`);
+					try {
+						await this.#waitForRetry(delay, pending[0].id);
+					} catch (reason) {
+						pending.forEach(item => {
+							this.#failed(null, reason);
+							results[item.index] = { status: 'rejected', reason };
+						});
+						pending = [];
+					}
+				}
+			}
+		} finally {
+			items.forEach(item => {
+				delete this.#retries[item.id];
+				delete this.#history[item.id];
+				this.#publishHeaders.delete(item.id);
+			});
+		}
+		if (span) {
+			const failed = results.filter(result => result.status === 'rejected').length;
+			this.#tracing.endSpan(span, {
+				error: failed ? new DeliveryError(`${failed} of ${items.length} events failed`, 'batch_failed') : undefined,
+				attributes: { 'pubsub.failed_count': failed }
+			});
+		}
+		return results;
+	}
+
+	/**
+	 * Decide whether a failed attempt is retried, exposing the decision through the `retry` event
+	 * @param {DeliveryError} err error of the failed attempt
+	 * @param {String} id event identifier
+	 * @param {Object} opts fetch options of the failed attempt
+	 * @param {Number} [previous] delay used before the failed attempt
+	 * @returns {Number} delay in ms before the next attempt
+	 * @throws {DeliveryError} when the event is not retried
+	 */
+	#retryDelay(err, id, opts, previous) {
+		const attempt = this.#retries[id];
+		const retry = this.#retryPolicy.shouldRetry(err, attempt);
+		const exceeded = retry && attempt > this.#retryLimit;
+		const delay = retry && !exceeded ? this.#retryPolicy.delay(attempt, previous, err.retryAfter) : null;
+
+		if (delay !== null) {
+			this.#metrics.increment('retries_total', { code: err.code });
+		}
+		if (this.#deadLetters) {
+			(this.#history[id] ||= []).push({ at: Date.now(), status: err.status ?? null, code: err.code, message: err.message });
+		}
+
+		// Expose every decision, including giving up
+		this.emit('retry', err.status, opts, attempt, { retry: delay !== null, delay, attempt, error: err });
+
+		if (exceeded) {
+			logger.error('Retry limit exceeded', new Error().stack);
+			throw new DeliveryError('Retry limit exceeded', 'retry_limit', {
+				id,
+				status: err.status,
+				attempts: attempt,
+				cause: err
+			});
+		}
+		if (delay === null) {
+			throw err;
+		}
+		return delay;
+	}
+
+	/**
+	 * Remove an event the server refuses from the outbox, it will never be accepted.
+	 * Everything else is kept for the next replay.
+	 * @param {String} id event identifier
+	 * @param {DeliveryError} err error the send failed with
+	 * @returns {Promise<void>}
+	 */
+	async #dropRejected(id, err) {
+		if (this.#outbox && [ 'rejected', 'unauthorized', 'notfound' ].includes(err.code)) {
+			await this.#outbox.drop(id, err.code);
+		}
+	}
+
+	/**
+	 * Record an event the server accepted
+	 * @param {Number} started time the send started
+	 * @param {Object} [span] span of the send
+	 * @param {Object} receipt delivery receipt
+	 */
+	#delivered(started, span, receipt) {
+		this.#metrics.increment('events_published_total');
+		this.#metrics.observe('send_duration_seconds', {}, (Date.now() - started) / 1000);
+		span && this.#tracing.endSpan(span, { attributes: { 'http.response.status_code': receipt.status, 'pubsub.attempts': receipt.attempts } });
+	}
+
+	/**
+	 * Record an event that was not accepted
+	 * @param {Object} [span] span of the send
+	 * @param {DeliveryError} err error the send failed with
+	 */
+	#failed(span, err) {
+		this.#metrics.increment('events_failed_total', { code: err.code, status: err.status ?? 'none' });
+		span && this.#tracing.endSpan(span, { error: err, attributes: { 'http.response.status_code': err.status, 'pubsub.attempts': err.attempts } });
+	}
+
+	/**
+	 * Move an event that was not accepted to the dead-letter store, taking it out of the outbox.
+	 * Events that failed because the client closed or the circuit is open are left alone.
+	 * @param {String} id event identifier
+	 * @param {Object} data event data
+	 * @param {DeliveryError} err error the send failed with
+	 * @returns {Promise<void>}
+	 */
+	async #deadLetter(id, data, err) {
+		if (!this.#deadLetters || [ 'closed', 'circuit_open' ].includes(err.code)) {
+			return;
+		}
+		try {
+			const entry = await this.#deadLetters.add(id, data, err, this.#history[id] || []);
+			await this.#outbox?.remove(id);
+			logger.error('Event dead-lettered', id, err.code);
+			this.emit('deadLetter', entry, err);
+		} catch (e) {
+			logger.error('Failed to store dead letter', id, e);
+		}
+	}
+
+	/**
+	 * Wait until the circuit breaker lets a request through, or fail fast if configured to
+	 * @param {String} id event identifier
+	 * @returns {Promise<void>}
+	 * @throws {DeliveryError} when the circuit is open and set to fail fast
+	 */
+	async #acquireCircuit(id) {
+		while (this.#circuit && !this.#circuit.allow()) {
+			if (this.#circuit.whenOpen === 'fail') {
+				throw new DeliveryError('Circuit open', 'circuit_open', { id, attempts: this.#retries[id] || 0 });
+			}
+			await this.#waitForRetry(this.#circuit.retryIn(), id);
+		}
+	}
+
+	/**
+	 * Build the request options to send an event
+	 * @param {Object} data event data
+	 * @param {Object} [headers] headers added by the publish middleware
+	 * @returns {Promise<Object>} fetch options, including the `url`
+	 */
+	async #requestOptions(data, headers) {
+		const url = new URL('/api/event', this.#url);
+		const { body, encoding } = await this.#encodeBody(JSON.stringify(data));
+		const opts = {
+			url: url.href,
+			method: 'POST',
+			headers: this.#makeHeaders(body, headers, encoding),
+			body,
+			signal: this.#requestSignal()
+		};
+
+		if (isCloudEvent(data)) {
+			// Structured-mode CloudEvent, carries its own id
+			opts.headers['content-type'] = 'application/cloudevents+json';
+		} else if (data.id) {
+			opts.url += `/${data.id}`;
+			opts.method = 'PATCH';
+		}
+		return opts;
+	}
+
+	/**
+	 * Make a single delivery attempt
+	 * @param {String} id event identifier
+	 * @param {Object} data event data
+	 * @param {Object} opts fetch options
+	 * @returns {Promise<Object>} receipt when accepted
+	 * @throws {DeliveryError} when the attempt failed, with the `status` and `retryAfter` delay if the server answered
+	 */
+	async #attempt(id, data, opts) {
+		this.#retries[id] = (this.#retries[id] || 0) + 1;
+		const attempts = this.#retries[id];
+
+		let resp;
+		try {
+			resp = await this.#request('event', opts);
+		} catch (e) {
+			if (this.#closed) {
+				throw new DeliveryError('Client closed', 'closed', { id, attempts, cause: e });
+			}
+			// fetch throwing outright means a network failure, timeout or invalid opts.
+			logger.error('web request received error', e, opts);
+			this.#recordCircuit();
+			throw new DeliveryError('Request failed', 'request_failed', { id, attempts, cause: e });
+		}
+
+		this.#recordCircuit(resp.status);
+
+		if (resp.ok) {
+			// emit an event
+			this.emit('response', resp, opts);
+
+			logger.info('response received, status:', resp.status);
+			return {
+				id: await this.#responseId(resp) ?? data.id ?? null,
+				status: resp.status,
+				attempts
+			};
+		}
+
+		const err = new Error('invalid response');
+		err.code = resp.status;
+
+		// if 401, that means the apikey or secret is wrong or event is not allowed; do not attempt to retry
+		// if 403, that means patch is called with wrong client
+		if (err.code === 401 || err.code === 403) {
+			err.message = 'Unauthorized';
+			this.emit('unauthorized', String(err), opts);
+			logger.error('sending event failed', String(err));
+			throw new DeliveryError(err.message, 'unauthorized', { id, status: err.code, attempts });
+		}
+
+		// if 404, that means the id given for PATCH event is not found
+		if (err.code === 404) {
+			err.message = 'NotFound';
+			this.emit('notfound', String(err), opts);
+			logger.error('updating event failed', String(err));
+			throw new DeliveryError(err.message, 'notfound', { id, status: err.code, attempts });
+		}
+
+		// if 400, that means the event failed validation; do not attempt to retry
+		if (err.code === 400) {
+			err.message = 'Failed';
+			const reason = await resp.text();
+			logger.error('sending event failed', reason);
+			throw new DeliveryError(reason || err.message, 'rejected', { id, status: err.code, attempts });
+		}
+
+		// Otherwise, since it wasn't a validation or authorization error, log and let the retry policy decide.
+		logger.error('received error', String(err), opts);
+		throw this.#responseError(resp, id, attempts);
+	}
+
+	/**
+	 * Make a request to the PubSub server, recording its status and duration
+	 * @param {String} endpoint endpoint name used as metric label
+	 * @param {Object} opts fetch options, including the `url`
+	 * @returns {Promise<Response>} fetch response
+	 */
+	async #request(endpoint, opts) {
+		const started = Date.now();
+		let status = 'error';
+		try {
+			const resp = await fetch(opts.url, opts);
+			status = resp.status;
+			return resp;
+		} finally {
+			this.#metrics.increment('requests_total', { endpoint, status });
+			this.#metrics.observe('request_duration_seconds', { endpoint }, (Date.now() - started) / 1000);
+		}
+	}
+
+	/**
+	 * Group the events of a batch by the headers the publish middleware added to them
+	 * @param {Array<Object>} items events to send, each as `{ id, data }`
+	 * @returns {Array<Array<Object>>} groups of `{ item, index }` in the order they first appear
+	 */
+	#groupByHeaders(items) {
+		const groups = new Map();
+		items.forEach((item, index) => {
+			const headers = this.#publishHeaders.get(item.id) || {};
+			const key = JSON.stringify(Object.keys(headers).sort().map(name => [ name.toLowerCase(), headers[name] ]));
+			if (!groups.has(key)) {
+				groups.set(key, []);
+			}
+			groups.get(key).push({ item, index });
+		});
+		return [ ...groups.values() ];
+	}
+
+	/**
+	 * Build the request options to send a batch of events, all carrying the same middleware headers
+	 * @param {Array<Object>} items events to send, each as `{ id, data }`
+	 * @returns {Promise<Object>} fetch options, including the `url`
+	 */
+	async #batchRequestOptions(items) {
+		const { body, encoding } = await this.#encodeBody(JSON.stringify({ events: items.map(item => item.data) }));
+		const headers = this.#publishHeaders.get(items[0]?.id);
+		return {
+			url: new URL('/api/event/batch', this.#url).href,
+			method: 'POST',
+			headers: this.#makeHeaders(body, headers, encoding),
+			body,
+			signal: this.#requestSignal()
+		};
+	}
+
+	/**
+	 * Make a single delivery attempt for a batch of events
+	 * @param {Array<Object>} items events to send, each as `{ id, data }`
+	 * @param {Object} opts fetch options
+	 * @returns {Promise<Array<Object>>} outcome for each item, either `{ receipt }` or `{ error }`
+	 * @throws {DeliveryError} when the request as a whole failed
+	 */
+	async #attemptBatch(items, opts) {
+		items.forEach(item => this.#retries[item.id] = (this.#retries[item.id] || 0) + 1);
+		const [ { id } ] = items;
+		const attempts = this.#retries[id];
+
+		let resp;
+		try {
+			resp = await this.#request('batch', opts);
+		} catch (e) {
+			if (this.#closed) {
+				throw new DeliveryError('Client closed', 'closed', { id, attempts, cause: e });
+			}
+			logger.error('web request received error', e, opts);
+			this.#recordCircuit();
+			throw new DeliveryError('Request failed', 'request_failed', { id, attempts, cause: e });
+		}
+
+		this.#recordCircuit(resp.status);
+		if (!resp.ok) {
+			logger.error('sending batch failed', resp.status);
+			if (resp.status === 401 || resp.status === 403) {
+				this.emit('unauthorized', 'Error: Unauthorized', opts);
+			}
+			throw this.#responseError(resp, id, attempts);
+		}
+
+		this.emit('response', resp, opts);
+		logger.info('batch response received, status:', resp.status);
+
+		// The server reports the outcome of each event in the order they were sent
+		let results;
+		try {
+			results = (await resp.json())?.results;
+		} catch (_e) {
+			// No per event results, the whole batch was accepted
+		}
+
+		return items.map((item, i) => {
+			const result = Array.isArray(results) ? results[i] || {} : { status: resp.status };
+			const status = Number(result.status) || resp.status;
+			const details = { id: item.id, status, attempts: this.#retries[item.id] };
+			if (status >= 200 && status < 300) {
+				return { receipt: { id: result.id ?? null, status, attempts: details.attempts } };
+			}
+			return { error: this.#statusError(status, result.message, details) };
+		});
+	}
+
+	/**
+	 * Build the error for a failed response
+	 * @param {Response} resp fetch response
+	 * @param {String} id event identifier
+	 * @param {Number} attempts number of attempts made
+	 * @returns {DeliveryError} error, including the `retryAfter` delay requested by the server
+	 */
+	#responseError(resp, id, attempts) {
+		const error = this.#statusError(resp.status, null, { id, status: resp.status, attempts });
+		if (resp.status === 429 || resp.status === 503) {
+			error.retryAfter = parseRetryAfter(resp.headers.get('retry-after'));
+		}
+		return error;
+	}
+
+	/**
+	 * Map a failed HTTP status to a delivery error
+	 * @param {Number} status HTTP status
+	 * @param {String} [message] error message reported by the server
+	 * @param {Object} details delivery details, see `DeliveryError`
+	 * @returns {DeliveryError} error
+	 */
+	#statusError(status, message, details) {
+		if (status === 401 || status === 403) {
+			return new DeliveryError('Unauthorized', 'unauthorized', details);
+		}
+		if (status === 404) {
+			return new DeliveryError('NotFound', 'notfound', details);
+		}
+		if (status === 400) {
+			return new DeliveryError(message || 'Failed', 'rejected', details);
+		}
+		return new DeliveryError(message || 'Server error', 'server_error', details);
+	}
+
+	/**
+	 * Read the server assigned event id from a successful response
+	 * @param {Response} resp fetch response
+	 * @returns {Promise<String|undefined>} event id if the response body contains one
+	 */
+	async #responseId(resp) {
+		try {
+			return (await resp.json())?.id;
+		} catch (_e) {
+			return undefined;
+		}
+	}
+
+	/**
+	 * Initiate fetch of this client's configuration from PubSub server
+	 * Sets the fetched configuration in this._config and fires 'configured'
+	 */
+	async _fetchConfig() {
+		try {
+			await this.#requestConfig();
+			this.#metrics.increment('config_fetches_total', { result: 'success' });
+		} catch (e) {
+			this.#metrics.increment('config_fetches_total', { result: 'failure' });
+			throw e;
+		}
+	}
+
+	async #requestConfig() {
+		logger.info('Fetching client config', this.#key);
+
+		if (this.#circuit && !this.#circuit.allow()) {
+			const message = 'Failed to fetch config: circuit open';
+			logger.error(message);
+			throw new Error(message);
+		}
+
+		let response;
+		try {
+			response = await fetch(new URL('/api/config', this.#url), {
+				headers: this.#makeHeaders('{}'),
+				signal: this.#requestSignal(),
+			});
+		} catch (e) {
+			this.#recordCircuit();
+			throw e;
+		}
+
+		this.#recordCircuit(response.status);
+
+		if (!response.ok) {
+			const message = `Failed to fetch config: ${await response.text()}`;
+			logger.error(message);
+			throw new Error(message);
+		}
+
 		const body = await response.json();
 		const config = body && body.key && body[body.key];
 		if (!config) {
@@ -381,6 +1816,58 @@ class PubSubClient extends EventEmitter {
 			}
 		}
 
+		this.#applyConfig(config);
+		await this.#saveConfig(config);
+	}
+
+	/**
+	 * Fetch the config at startup, falling back to the last known good config while the server is unreachable
+	 * @returns {Promise<Object>} the client config
+	 */
+	async #initConfig() {
+		try {
+			await this._fetchConfig();
+			return this._config;
+		} catch (err) {
+			this.#configFailed(err, 1);
+
+			// Serve webhooks with the cached config straight away and keep trying in the background
+			const cached = !this._config && await this.#loadConfig();
+			if (cached) {
+				this.#applyConfig(cached);
+				this.#retryConfig(err).catch(() => {});
+				return cached;
+			}
+			return this.#retryConfig(err);
+		}
+	}
+
+	/**
+	 * Retry fetching the config at startup with backoff
+	 * @param {Error} err error of the first attempt
+	 * @returns {Promise<Object>} the client config
+	 * @throws {Error} the last error once the startup retries are exhausted
+	 */
+	async #retryConfig(err) {
+		for (let attempt = 2; attempt <= this.#configRetries + 1; attempt++) {
+			await this.#waitForRetry(this.#configRetryPolicy.delay(attempt - 1), 'config');
+			try {
+				await this._fetchConfig();
+				return this._config;
+			} catch (e) {
+				err = e;
+				this.#configFailed(err, attempt);
+			}
+		}
+		throw err;
+	}
+
+	/**
+	 * Set the client config and run what was waiting on it
+	 * @param {Object} config client config
+	 */
+	#applyConfig(config) {
+		const previous = this._config;
 		this._config = config;
 
 		// Do pending topic validation
@@ -389,64 +1876,203 @@ class PubSubClient extends EventEmitter {
 
 		this.emit('configured', this._config);
 
+		const diff = previous && diffConfig(previous, config);
+		if (diff?.auth?.credentialsChanged) {
+			// Webhooks may still be sent with the previous credentials for a while
+			previous.auth_token && this.#addGraceCredentials('token', previous.auth_token, this.#gracePeriod);
+			previous.auth_user && this.#addGraceCredentials('basic', [ previous.auth_user, previous.auth_pass ], this.#gracePeriod);
+		}
+		if (diff) {
+			logger.info('Client config changed', this.#key, diff.topics);
+			// Existing listeners may no longer match the subscribed topics
+			this.eventNames().forEach(name => this.#validateTopic(name));
+			this.emit('configChanged', diff, config, previous);
+		}
+
 		logger.info('Client configured', this.#key);
 	}
 
-	#makeHeaders(body) {
-		return {
+	/**
+	 * Keep accepting replaced webhook credentials for a while
+	 * @param {String} type `secret`, `token` or `basic`
+	 * @param {String|Array<String>} value the secret, token or `[ user, pass ]` pair
+	 * @param {Number} gracePeriod time in ms the credentials remain valid
+	 */
+	#addGraceCredentials(type, value, gracePeriod) {
+		if (gracePeriod > 0) {
+			this.#graceCredentials.push({ type, value, expiresAt: Date.now() + gracePeriod });
+		}
+	}
+
+	/**
+	 * Replaced webhook credentials that are still valid, forgetting the expired ones
+	 * @param {String} type `secret`, `token` or `basic`
+	 * @returns {Array} the secrets, tokens or `[ user, pass ]` pairs
+	 */
+	#validGraceCredentials(type) {
+		const now = Date.now();
+		this.#graceCredentials = this.#graceCredentials.filter(entry => entry.expiresAt > now);
+		return this.#graceCredentials.filter(entry => entry.type === type).map(entry => entry.value);
+	}
+
+	/**
+	 * Report a failure to fetch the config
+	 * @param {Error} err error raised while fetching
+	 * @param {Number} [attempt] startup attempt, not set for reconfiguration
+	 */
+	#configFailed(err, attempt) {
+		logger.error('Failed to configure client', String(err));
+		this.emit('configError', err, attempt);
+	}
+
+	/**
+	 * Read the last known good config from `configCache`
+	 * @returns {Promise<Object|null>} the cached config, if any
+	 */
+	async #loadConfig() {
+		if (!this.#configCache) {
+			return null;
+		}
+		try {
+			const config = JSON.parse(await fs.readFile(this.#configCache, 'utf8'));
+			logger.info('Using cached client config', this.#configCache);
+			return config;
+		} catch (e) {
+			if (e.code !== 'ENOENT') {
+				logger.error('Failed to read cached client config', String(e));
+			}
+			return null;
+		}
+	}
+
+	/**
+	 * Persist the config to `configCache`, it holds webhook credentials so only the owner may read it
+	 * @param {Object} config client config
+	 * @returns {Promise<void>}
+	 */
+	async #saveConfig(config) {
+		if (!this.#configCache) {
+			return;
+		}
+		const tmp = `${this.#configCache}.${process.pid}.tmp`;
+		try {
+			await fs.writeFile(tmp, JSON.stringify(config), { mode: 0o600 });
+			await fs.rename(tmp, this.#configCache);
+		} catch (e) {
+			logger.error('Failed to cache client config', String(e));
+		}
+	}
+
+	/**
+	 * Record the outcome of a request with the circuit breaker.
+	 * Only an unavailable server counts against the circuit, client errors prove it is up.
+	 * @param {Number} [status] response status, none if the request failed outright
+	 */
+	#recordCircuit(status) {
+		if (!this.#circuit) {
+			return;
+		}
+		if (!status || status >= 500 || status === 429) {
+			this.#circuit.failure();
+		} else {
+			this.#circuit.success();
+		}
+	}
+
+	#assertOpen() {
+		if (this.#closed) {
+			throw new PubSubError('Client closed', 'closed');
+		}
+	}
+
+	#assertDeadLetters() {
+		if (!this.#deadLetters) {
+			throw new PubSubError('Dead-letter store not enabled', 'dead_letter_disabled');
+		}
+		return this.#deadLetters;
+	}
+
+	// In strict mode, refuse locally what the server would refuse anyway
+	#assertCanPublish() {
+		if (this.#strict && this._config && !this._config.can_publish) {
+			throw new PubSubError('This client does not have publishing enabled', 'publish_disabled');
+		}
+	}
+
+	/**
+	 * Compress a request body when compression is enabled and the body reaches the threshold.
+	 * The request is signed over the body returned, i.e. the bytes actually sent.
+	 * @param {String} json serialized body
+	 * @returns {Promise<Object>} `{ body, encoding }`, `encoding` is only set if the body was compressed
+	 */
+	async #encodeBody(json) {
+		if (!this.#compression || Buffer.byteLength(json) < this.#compression.threshold) {
+			return { body: json };
+		}
+		return { body: await compress(json, this.#compression.encoding), encoding: this.#compression.encoding };
+	}
+
+	#requestSignal() {
+		return AbortSignal.any([ AbortSignal.timeout(this.#timeout), this.#abortController.signal ]);
+	}
+
+	#makeHeaders(body, extra, encoding) {
+		const headers = {
 			...DEFAULT.headers,
 			APIKey: this.#key,
 			APISig: createHmac('SHA256', this.#secret).update(body).digest('base64')
 		};
+		if (encoding) {
+			headers['content-encoding'] = encoding;
+		}
+		if (extra) {
+			// Added headers never replace the ones above, whatever their case
+			const names = Object.keys(headers).map(name => name.toLowerCase());
+			Object.entries(extra)
+				.filter(([ name ]) => !names.includes(name.toLowerCase()))
+				.forEach(([ name, value ]) => headers[name] = value);
+		}
+		return headers;
 	}
 
-	#parseBody(req, res) {
+	async #parseBody(req, res) {
 		// If the body is already parsed return it.
 		if (req.body || req._pubsubBody) {
 			return req.body || req._pubsubBody;
 		}
 
-		// Expect JSON body.
-		if (req.headers['content-type'] !== 'application/json') {
-			this.#sendBodyParseError(req, res);
-			return Promise.reject();
+		// Expect JSON body, or a structured-mode CloudEvent.
+		const { type, charset = 'utf-8' } = parseContentType(req.headers['content-type']);
+		if (type !== 'application/json' && !(this.#cloudEvents && type === 'application/cloudevents+json')) {
+			this.#sendBodyParseError(res);
+			return null;
 		}
 
-		const length = req.headers['content-length'];
-		let data = '';
-
-		return new Promise((resolve, reject) => {
-			// Read the request body falling out if it's too long.
-			req.on('data', req._pubsubDataListener = (chunk) => {
-				data += chunk.toString();
-				if (data.length > length) {
-					this.#sendBodyParseError(req, res);
-					return reject(new Error('Body too large'));
-				}
-			});
+		let raw;
+		try {
+			raw = await readBody(req, this.#maxBodySize);
+			// The size limit applies to the decompressed body too
+			raw = await decompress(raw, req.headers['content-encoding'], this.#maxBodySize);
+		} catch (err) {
+			logger.error('Failed to read webhook body', err.message);
+			this.#sendBodyParseError(res, { body_too_large: 413, unsupported_encoding: 415 }[err.code] || 400);
+			return null;
+		}
 
-			// Once the request has ended parse the body.
-			req.on('end', req._pubsubEndListener = () => {
-				let parsed;
-				try {
-					parsed = JSON.parse(data);
-				} catch (_err) {
-					this.#sendBodyParseError(req, res);
-					return reject(new Error('Invalid JSON'));
-				}
-				req._pubsubBody = parsed;
-				resolve(parsed);
-			});
-		});
+		let parsed;
+		try {
+			parsed = JSON.parse(new TextDecoder(charset).decode(raw));
+		} catch (_err) {
+			this.#sendBodyParseError(res);
+			return null;
+		}
+		req._pubsubBody = parsed;
+		return parsed;
 	}
 
-	#sendBodyParseError(req, res) {
-		// Terminate event listeners
-		req._pubsubDataListener && req.off('data', req._pubsubDataListener);
-		req._pubsubEndListener && req.off('end', req._pubsubEndListener);
-
-		// Respond with error
-		this.#webhookResponse(res, 400, { success: false, message: 'Body parse error' });
+	#sendBodyParseError(res, code = 400) {
+		const message = { 413: 'Body too large', 415: 'Unsupported content encoding' }[code] || 'Body parse error';
+		this.#webhookResponse(res, code, { success: false, message });
 	}
 
 	#webhookResponse(res, code, body) {
@@ -458,44 +2084,197 @@ class PubSubClient extends EventEmitter {
 		res.end(JSON.stringify(body));
 	}
 
-	#sanitize(obj, seen = []) {
-		if (!obj || typeof obj !== 'object') {
-			return obj;
-		}
-		if (obj instanceof RegExp) {
-			return obj.source;
-		}
-		if (obj instanceof Date) {
-			return obj;
-		}
-		Object.keys(obj).forEach(key => {
-			let value = obj[key];
-			const type = typeof value;
-			if (type === 'function') {
-				delete obj[key];
-			} else if (/^(password|creditcard)/.test(key)) {
-				// the server side does masking as well, but doesn't hurt to do it at origin
-				obj[key] = '[HIDDEN]';
-			} else if (value instanceof Date) {
-				// do nothing
-			} else if (value instanceof RegExp) {
-				obj[key] = value.source;
-			} else if (value && type === 'object') {
-				if (seen.includes(value)) {
-					value = '[Circular]';
-				} else {
-					seen.push(value);
-					value = this.#sanitize(value, seen);
+	/**
+	 * Pull pending events from the PubSub server
+	 * @param {Object} query pull query
+	 * @param {Array<String>} [query.topics] topics to pull, all subscribed topics if not set
+	 * @param {String} [query.cursor] position to pull from
+	 * @param {Number} query.limit maximum number of events
+	 * @param {Number} query.wait time in ms the server may hold the request until an event arrives
+	 * @param {AbortSignal} signal aborted when the consumer stops
+	 * @returns {Promise<Object>} `{ events, cursor }`
+	 */
+	async #pullEvents({ topics, cursor, limit, wait }, signal) {
+		const config = await this.ready();
+		if (!config.can_consume) {
+			throw new PubSubError('This client does not have consumption enabled', 'consume_disabled');
+		}
+
+		const url = new URL('/api/event/pull', this.#url);
+		url.searchParams.set('limit', limit);
+		url.searchParams.set('wait', wait);
+		topics && url.searchParams.set('topics', topics.join(','));
+		cursor !== null && cursor !== undefined && url.searchParams.set('cursor', cursor);
+
+		const resp = await fetch(url, {
+			headers: this.#makeHeaders('{}'),
+			signal: AbortSignal.any([ AbortSignal.timeout(this.#timeout + wait), this.#abortController.signal, signal ])
+		});
+		if (!resp.ok) {
+			throw new PubSubError(`Failed to pull events: ${resp.status}`, 'pull_failed');
+		}
+		const body = resp.status === 204 ? null : await resp.json();
+		return { events: Array.isArray(body?.events) ? body.events : [], cursor: body?.cursor ?? cursor };
+	}
+
+	/**
+	 * Acknowledge handled events so the server doesn't deliver them again
+	 * @param {Array<String>} ids identifiers of the handled events
+	 * @param {String} [cursor] cursor of the batch they were pulled with
+	 * @returns {Promise<void>}
+	 */
+	async #ackEvents(ids, cursor) {
+		const body = JSON.stringify({ ids, cursor });
+		const resp = await fetch(new URL('/api/event/ack', this.#url), {
+			method: 'POST',
+			headers: this.#makeHeaders(body),
+			body,
+			signal: this.#requestSignal()
+		});
+		if (!resp.ok) {
+			throw new PubSubError(`Failed to acknowledge events: ${resp.status}`, 'ack_failed');
+		}
+	}
+
+	/**
+	 * Hand a pulled event to the listeners like a received webhook
+	 * @param {Object} body event payload
+	 * @returns {Promise<Error|undefined>} the failure if the event should be delivered again
+	 */
+	async #consumeEvent(body) {
+		let id = null;
+		let error;
+		try {
+			body = this.#normalizeEvent(body);
+			if (!body || typeof body !== 'object') {
+				throw new PubSubError('Pulled event is not an object', 'invalid_event');
+			}
+			logger.info(`Event pulled: ${body.topic}`);
+
+			const invalid = this.#validateWebhooks && this.hasSubscribedTopic(body.topic) && this.#validationError(body.topic, body.data);
+			if (invalid) {
+				// It won't become valid by being delivered again, so it's acknowledged either way
+				logger.error(invalid.message);
+				this.emit('invalidEvent', invalid, body);
+				return;
+			}
+
+			const eventId = body.id !== undefined && body.id !== null ? String(body.id) : null;
+			if (this.#dedupe && eventId !== null) {
+				if (!await this.#dedupe.add(eventId)) {
+					logger.info(`Duplicate event ignored: ${eventId}`);
+					this.emit('duplicate', body);
+					return;
 				}
-				obj[key] = value;
+				id = eventId;
 			}
-		});
-		return obj;
+
+			const event = await this.#runConsumeMiddleware(body, null, 'pull');
+			error = event ? await this.#runHandlers(event.topic, event) : undefined;
+		} catch (e) {
+			error = e;
+		}
+		if (error) {
+			if (id !== null) {
+				try {
+					await this.#dedupe.delete(id);
+				} catch (e) {
+					logger.error('Failed to forget event id', id, e.message);
+				}
+			}
+			this.#emitError(error);
+		}
+		return error;
+	}
+
+	/**
+	 * Run the consume middleware
+	 * @param {Object} event received event
+	 * @param {Object} [headers] webhook request headers
+	 * @param {String} source `webhook` or `pull`
+	 * @returns {Promise<Object|null>} the event to emit, or null if a middleware dropped it
+	 * @throws {HandlerError} `middleware_failed` when a middleware threw
+	 */
+	async #runConsumeMiddleware(event, headers, source) {
+		const ctx = { event, headers: headers || {}, source };
+		try {
+			for (const fn of this.#consumeMiddleware) {
+				if (await fn(ctx) === false) {
+					logger.info('Event dropped by middleware', event.topic);
+					return null;
+				}
+			}
+		} catch (e) {
+			logger.error('Consume middleware failed', event.topic, e);
+			throw new HandlerError('Consume middleware failed', 'middleware_failed', { topic: event.topic, payload: event, cause: e });
+		}
+		return ctx.event;
+	}
+
+	/**
+	 * Convert a received CloudEvent to the shape of the events delivered by the PubSub server
+	 * @param {*} body received body
+	 * @param {Object} [headers] request headers, carrying the attributes of a binary-mode CloudEvent
+	 * @returns {Object} the event, unchanged if it is not a CloudEvent or CloudEvents mode is disabled
+	 */
+	#normalizeEvent(body, headers) {
+		if (!this.#cloudEvents) {
+			return body;
+		}
+		const cloudEvent = fromBinary(headers, body) || (isCloudEvent(body) ? body : null);
+		return cloudEvent ? normalize(cloudEvent) : body;
+	}
+
+	/**
+	 * Emit a received event to every `event:` listener whose topic or pattern matches
+	 * @param {String} topic concrete topic of the received event
+	 * @param {Object} body event payload
+	 */
+	#emitEvent(topic, body) {
+		this.eventNames()
+			.filter(name => typeof name === 'string' && name.startsWith('event:') && matchTopic(name.slice(6), topic))
+			.forEach(name => this.emit(name, body));
+	}
+
+	/**
+	 * Call every `event:` listener whose topic or pattern matches and wait for them to finish
+	 * @param {String} topic concrete topic of the received event
+	 * @param {Object} body event payload
+	 * @returns {Promise<HandlerError|undefined>} the failure, if any listener threw, rejected or timed out
+	 */
+	async #runHandlers(topic, body) {
+		let timer;
+		try {
+			const handlers = this.eventNames()
+				.filter(name => typeof name === 'string' && name.startsWith('event:') && matchTopic(name.slice(6), topic))
+				.flatMap(name => this.rawListeners(name))
+				.map(listener => (async () => listener.call(this, body))());
+			const timeout = this.#handlerTimeout && new Promise((resolve, reject) => {
+				timer = setTimeout(() => reject(new HandlerError('Event handler timed out', 'handler_timeout', { topic, payload: body })), this.#handlerTimeout);
+			});
+
+			await (timeout ? Promise.race([ Promise.all(handlers), timeout ]) : Promise.all(handlers));
+		} catch (e) {
+			logger.error('Event handler failed', topic, e);
+			return e instanceof HandlerError ? e : new HandlerError('Event handler failed', 'handler_failed', { topic, payload: body, cause: e });
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	/**
+	 * Emit an `error` event, only when someone is listening since unhandled `error` events throw
+	 * @param {Error} error error to emit
+	 */
+	#emitError(error) {
+		if (this.listenerCount('error')) {
+			this.emit('error', error);
+		}
 	}
 
 	/**
 	 * Validate if the given event subscription topic is in the client's configured topics
-	 * @param {String} topic topic to check (only interested in 'event:XXX')
+	 * @param {String} topic topic or pattern to check (only interested in 'event:XXX')
 	 */
 	#validateTopic(topic) {
 		// Only interested in validating event subscriptions
@@ -506,10 +2285,28 @@ class PubSubClient extends EventEmitter {
 		// String `event:` prefix
 		topic = topic.replace('event:', '');
 
-		if (!this.hasSubscribedTopic(topic)) {
+		if (!this._config?.topics?.some(pattern => topicsOverlap(pattern, topic))) {
 			logger.error(`Unexpected event '${topic}': client not configured to receive this event.`);
 		}
 	}
 }
 
 module.exports = PubSubClient;
+module.exports.DeliveryError = DeliveryError;
+module.exports.Emulator = Emulator;
+module.exports.fastifyHandler = fastifyHandler;
+module.exports.fetchHandler = fetchHandler;
+module.exports.FileCheckpoint = FileCheckpoint;
+module.exports.FileStore = FileStore;
+module.exports.HandlerError = HandlerError;
+module.exports.koaMiddleware = koaMiddleware;
+module.exports.MemoryCheckpoint = MemoryCheckpoint;
+module.exports.MemoryDedupeStore = MemoryDedupeStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.PubSubError = PubSubError;
+module.exports.Redactor = Redactor;
+module.exports.SchemaRegistry = SchemaRegistry;
+module.exports.Subscription = Subscription;
+module.exports.toPrometheus = toPrometheus;
+module.exports.ValidationError = ValidationError;
+module.exports.WebhookRouter = WebhookRouter;
@@ -0,0 +1,178 @@
+const DEFAULT = {
+	maxQueue: 1000,
+	whenFull: 'wait'
+};
+
+/**
+ * Limits outbound requests with a token bucket and a cap on concurrent requests.
+ * Requests waiting for their turn are held in a queue bounded by `maxQueue`. Callers reserve their place
+ * before preparing a request, so requests started at once count against the bound before they are queued.
+ */
+class RateLimiter {
+	#rate;
+	#burst;
+	#tokens;
+	#refilledAt = Date.now();
+	#maxInFlight;
+	#inFlight = 0;
+	#maxQueue;
+	#queue = [];
+	#reserved = 0;
+	#roomWaiters = [];
+	#timer = null;
+	#saturated = false;
+	#onEvent;
+
+	/**
+	 * @param {Object} opts rate limit options
+	 * @param {Number} [opts.rate] requests allowed per second, unlimited if not set
+	 * @param {Number} [opts.burst] requests allowed at once before `rate` applies, defaults to `rate`
+	 * @param {Number} [opts.maxInFlight] maximum number of concurrent requests, unlimited if not set
+	 * @param {Number} [opts.maxQueue=1000] maximum number of requests waiting for their turn
+	 * @param {String} [opts.whenFull='wait'] `wait` to hold new events until the queue has room, `reject` to refuse them
+	 * @param {Function} [onEvent] called with `saturated` when the queue fills up and `drain` once it emptied again
+	 */
+	constructor(opts, onEvent = () => {}) {
+		this.#rate = Number(opts.rate) || Infinity;
+		this.#burst = Math.max(Number(opts.burst) || this.#rate, 1);
+		this.#tokens = this.#burst;
+		this.#maxInFlight = Number(opts.maxInFlight) || Infinity;
+		this.#maxQueue = Number(opts.maxQueue) || DEFAULT.maxQueue;
+		this.whenFull = opts.whenFull || DEFAULT.whenFull;
+		if (![ 'wait', 'reject' ].includes(this.whenFull)) {
+			throw new Error(`Invalid rate limit whenFull: ${this.whenFull}`);
+		}
+		this.#onEvent = onEvent;
+	}
+
+	/**
+	 * Whether the wait queue is full
+	 * @returns {Boolean}
+	 */
+	get full() {
+		return this.#waiting() >= this.#maxQueue;
+	}
+
+	/**
+	 * Reserve a place in the queue for a request
+	 * @returns {Function|null} function releasing the place, passed to `acquire()` once the request is made or
+	 * called if it is not made after all, or null when the queue is full
+	 */
+	reserve() {
+		// Callers already waiting for room go first
+		return this.full || this.#roomWaiters.length ? null : this.#reserve();
+	}
+
+	/**
+	 * Wait until the queue has room for another request, the callers are let in one at a time
+	 * @returns {Promise<Function>} function releasing the place reserved, see `reserve()`
+	 */
+	waitForRoom() {
+		const reservation = this.reserve();
+		if (reservation) {
+			return Promise.resolve(reservation);
+		}
+		return new Promise(resolve => this.#roomWaiters.push(resolve));
+	}
+
+	/**
+	 * Wait for the turn of a request
+	 * @param {Function} [reservation] place reserved for the request, released once it is queued
+	 * @returns {Promise<Function>} function to call once the request completed
+	 */
+	acquire(reservation) {
+		return new Promise(resolve => {
+			this.#queue.push(resolve);
+			reservation?.();
+			this.#checkSaturated();
+			this.#process();
+		});
+	}
+
+	/**
+	 * Let every waiting request through, e.g. when the client is closed
+	 */
+	release() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		this.#queue.splice(0).forEach(resolve => resolve(() => {}));
+		this.#roomWaiters.splice(0).forEach(resolve => resolve(() => {}));
+		this.#process();
+	}
+
+	#reserve() {
+		this.#reserved++;
+		this.#checkSaturated();
+		let released = false;
+		return () => {
+			if (!released) {
+				released = true;
+				this.#reserved--;
+				this.#process();
+			}
+		};
+	}
+
+	/**
+	 * Number of queued and reserved requests that can't be let through straight away
+	 * @returns {Number}
+	 */
+	#waiting() {
+		this.#refill();
+		const available = Math.max(0, Math.min(this.#maxInFlight - this.#inFlight, Math.floor(this.#tokens)));
+		return Math.max(0, this.#queue.length + this.#reserved - available);
+	}
+
+	#checkSaturated() {
+		if (!this.#saturated && this.full) {
+			this.#saturated = true;
+			this.#onEvent('saturated');
+		}
+	}
+
+	#process() {
+		this.#refill();
+		while (this.#queue.length && this.#inFlight < this.#maxInFlight && this.#tokens >= 1) {
+			this.#tokens--;
+			this.#inFlight++;
+			let released = false;
+			this.#queue.shift()(() => {
+				if (!released) {
+					released = true;
+					this.#inFlight--;
+					this.#process();
+				}
+			});
+		}
+
+		// Waiting on a token rather than a free slot, check back once the next one is due
+		if (this.#queue.length && this.#inFlight < this.#maxInFlight && !this.#timer) {
+			this.#timer = setTimeout(() => {
+				this.#timer = null;
+				this.#process();
+			}, Math.ceil((1 - this.#tokens) / this.#rate * 1000));
+		}
+
+		// Each caller let in reserves its place, so no more are let in than there is room for
+		while (this.#roomWaiters.length && !this.full) {
+			this.#roomWaiters.shift()(this.#reserve());
+		}
+		if (this.#saturated && !this.#waiting()) {
+			this.#saturated = false;
+			this.#onEvent('drain');
+		}
+	}
+
+	#refill() {
+		if (this.#rate === Infinity) {
+			return;
+		}
+		const now = Date.now();
+		this.#tokens = Math.min(this.#burst, this.#tokens + (now - this.#refilledAt) / 1000 * this.#rate);
+		this.#refilledAt = now;
+	}
+}
+
+module.exports = {
+	RateLimiter
+};
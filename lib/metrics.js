@@ -0,0 +1,114 @@
+const DEFAULT = {
+	// Latency buckets in seconds
+	buckets: [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ]
+};
+
+/**
+ * In-process counters and histograms, each series identified by its name and labels
+ */
+class Metrics {
+	#counters = new Map();
+	#histograms = new Map();
+	#buckets;
+
+	/**
+	 * @param {Object} [opts] metrics options
+	 * @param {Array<Number>} [opts.buckets] upper bounds of the histogram buckets, in seconds
+	 */
+	constructor({ buckets } = {}) {
+		this.#buckets = Array.isArray(buckets) && buckets.length ? [ ...buckets ].sort((a, b) => a - b) : DEFAULT.buckets;
+	}
+
+	/**
+	 * Increment a counter
+	 * @param {String} name counter name
+	 * @param {Object} [labels] series labels
+	 * @param {Number} [value=1] amount to add
+	 */
+	increment(name, labels = {}, value = 1) {
+		series(this.#counters, name, labels, () => ({ labels, value: 0 })).value += value;
+	}
+
+	/**
+	 * Record a value in a histogram
+	 * @param {String} name histogram name
+	 * @param {Object} [labels] series labels
+	 * @param {Number} value observed value, in seconds for durations
+	 */
+	observe(name, labels = {}, value) {
+		const histogram = series(this.#histograms, name, labels, () => ({ labels, count: 0, sum: 0, buckets: this.#buckets.map(() => 0) }));
+		histogram.count++;
+		histogram.sum += value;
+		this.#buckets.forEach((le, i) => {
+			if (value <= le) {
+				histogram.buckets[i]++;
+			}
+		});
+	}
+
+	/**
+	 * Copy of the current values
+	 * @returns {Object} `{ counters: { name: [ { labels, value } ] }, histograms: { name: [ { labels, count, sum, buckets } ] } }`
+	 * where `buckets` lists the cumulative count of values for each upper bound as `{ le, count }`, ending with `le: '+Inf'`
+	 */
+	snapshot() {
+		const counters = {};
+		this.#counters.forEach((values, name) => counters[name] = [ ...values.values() ].map(({ labels, value }) => ({ labels: { ...labels }, value })));
+		const histograms = {};
+		this.#histograms.forEach((values, name) => histograms[name] = [ ...values.values() ].map(({ labels, count, sum, buckets }) => ({
+			labels: { ...labels },
+			count,
+			sum,
+			buckets: [ ...this.#buckets.map((le, i) => ({ le, count: buckets[i] })), { le: '+Inf', count } ]
+		})));
+		return { counters, histograms };
+	}
+}
+
+function series(metrics, name, labels, create) {
+	if (!metrics.has(name)) {
+		metrics.set(name, new Map());
+	}
+	const values = metrics.get(name);
+	const key = JSON.stringify(Object.entries(labels).sort(([ a ], [ b ]) => (a < b ? -1 : 1)));
+	if (!values.has(key)) {
+		values.set(key, create());
+	}
+	return values.get(key);
+}
+
+/**
+ * Format a metrics snapshot in the Prometheus text exposition format
+ * @param {Object} snapshot snapshot returned by `Metrics#snapshot()`
+ * @param {Object} [opts] format options
+ * @param {String} [opts.prefix='pubsub_'] prefix added to every metric name
+ * @param {Object} [opts.labels] labels added to every series, e.g. `{ service: 'orders' }`
+ * @returns {String} the metrics
+ */
+function toPrometheus({ counters = {}, histograms = {} }, { prefix = 'pubsub_', labels: common = {} } = {}) {
+	const lines = [];
+	Object.entries(counters).forEach(([ name, values ]) => {
+		lines.push(`# TYPE ${prefix}${name} counter`);
+		values.forEach(({ labels, value }) => lines.push(`${prefix}${name}${formatLabels({ ...common, ...labels })} ${value}`));
+	});
+	Object.entries(histograms).forEach(([ name, values ]) => {
+		lines.push(`# TYPE ${prefix}${name} histogram`);
+		values.forEach(({ labels, count, sum, buckets }) => {
+			buckets.forEach(({ le, count: value }) => lines.push(`${prefix}${name}_bucket${formatLabels({ ...common, ...labels, le })} ${value}`));
+			lines.push(`${prefix}${name}_sum${formatLabels({ ...common, ...labels })} ${sum}`);
+			lines.push(`${prefix}${name}_count${formatLabels({ ...common, ...labels })} ${count}`);
+		});
+	});
+	return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+function formatLabels(labels) {
+	const pairs = Object.entries(labels)
+		.map(([ name, value ]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+	return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = {
+	Metrics,
+	toPrometheus
+};
@@ -0,0 +1,238 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT = {
+	maxEntries: 10000,
+	maxAge: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Outbox store keeping entries in memory only.
+ *
+ * Custom stores must implement the same async interface:
+ * - `load()` resolves with the array of persisted entries
+ * - `add(entry)` persists an entry `{ id, data, createdAt }`
+ * - `remove(id)` removes a persisted entry
+ */
+class MemoryStore {
+	#entries = new Map();
+
+	async load() {
+		return [ ...this.#entries.values() ];
+	}
+
+	async add(entry) {
+		this.#entries.set(entry.id, entry);
+	}
+
+	async remove(id) {
+		this.#entries.delete(id);
+	}
+}
+
+/**
+ * Outbox store backed by an append-only journal file.
+ * Each line records either an added entry or a removed id. The journal is compacted on load
+ * and whenever it holds many more records than live entries.
+ */
+class FileStore {
+	#file;
+	#entries = new Map();
+	#records = 0;
+	#writes = Promise.resolve();
+
+	/**
+	 * @param {String} file path of the journal file
+	 */
+	constructor(file) {
+		this.#file = path.resolve(file);
+	}
+
+	async load() {
+		let contents = '';
+		try {
+			contents = await fs.readFile(this.#file, 'utf8');
+		} catch (e) {
+			if (e.code !== 'ENOENT') {
+				throw e;
+			}
+		}
+
+		this.#entries.clear();
+		contents.split('\n').forEach(line => {
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch (_e) {
+				// Ignore blank lines and a partially written final line
+				return;
+			}
+			if (record.op === 'add' && record.entry) {
+				this.#entries.set(record.entry.id, record.entry);
+			} else if (record.op === 'remove') {
+				this.#entries.delete(record.id);
+			}
+		});
+
+		await this.#compact();
+		return [ ...this.#entries.values() ];
+	}
+
+	add(entry) {
+		this.#entries.set(entry.id, entry);
+		return this.#append({ op: 'add', entry });
+	}
+
+	remove(id) {
+		if (!this.#entries.delete(id)) {
+			return Promise.resolve();
+		}
+		return this.#append({ op: 'remove', id });
+	}
+
+	#append(record) {
+		return this.#write(async () => {
+			await fs.appendFile(this.#file, JSON.stringify(record) + '\n');
+			this.#records++;
+			if (this.#records > this.#entries.size * 2 + 1000) {
+				await this.#rewrite();
+			}
+		});
+	}
+
+	#compact() {
+		return this.#write(() => this.#rewrite());
+	}
+
+	async #rewrite() {
+		const tmp = `${this.#file}.${process.pid}.tmp`;
+		const lines = [ ...this.#entries.values() ].map(entry => JSON.stringify({ op: 'add', entry }) + '\n');
+		await fs.mkdir(path.dirname(this.#file), { recursive: true });
+		await fs.writeFile(tmp, lines.join(''));
+		await fs.rename(tmp, this.#file);
+		this.#records = lines.length;
+	}
+
+	// Journal writes must not interleave
+	#write(fn) {
+		const result = this.#writes.then(fn);
+		this.#writes = result.catch(() => {});
+		return result;
+	}
+}
+
+/**
+ * Persistent queue of events waiting to be accepted by the PubSub server
+ */
+class Outbox {
+	#store;
+	#maxEntries;
+	#maxAge;
+	#onDrop;
+	#entries = new Map();
+	#loaded;
+
+	/**
+	 * @param {Object} opts outbox options
+	 * @param {String} [opts.path] journal file to persist entries to
+	 * @param {Object} [opts.store] custom store, see `MemoryStore` for the interface
+	 * @param {Number} [opts.maxEntries] maximum number of entries kept, the oldest are dropped first
+	 * @param {Number} [opts.maxAge] maximum age of an entry in ms
+	 * @param {Function} onDrop called with `(entry, reason)` when an entry is dropped without being delivered
+	 */
+	constructor(opts, onDrop) {
+		this.#store = opts.store || (opts.path ? new FileStore(opts.path) : new MemoryStore());
+		this.#maxEntries = Number(opts.maxEntries) || DEFAULT.maxEntries;
+		this.#maxAge = Number(opts.maxAge) || DEFAULT.maxAge;
+		this.#onDrop = onDrop;
+	}
+
+	/**
+	 * Load persisted entries, dropping any that exceed the limits
+	 * @returns {Promise<Array<Object>>} entries to replay
+	 */
+	load() {
+		if (!this.#loaded) {
+			this.#loaded = (async () => {
+				const entries = await this.#store.load();
+				entries
+					.sort((a, b) => a.createdAt - b.createdAt)
+					.forEach(entry => this.#entries.set(entry.id, entry));
+				await this.#prune();
+				return [ ...this.#entries.values() ];
+			})();
+		}
+		return this.#loaded;
+	}
+
+	/**
+	 * Persist an entry before it is sent
+	 * @param {String} id event identifier
+	 * @param {Object} data event data
+	 * @returns {Promise<void>}
+	 */
+	async add(id, data) {
+		await this.load();
+		const entry = { id, data, createdAt: Date.now() };
+		this.#entries.set(id, entry);
+		await this.#store.add(entry);
+		await this.#prune();
+	}
+
+	/**
+	 * Remove an entry once it has been accepted
+	 * @param {String} id event identifier
+	 * @returns {Promise<void>}
+	 */
+	async remove(id) {
+		await this.load();
+		this.#entries.delete(id);
+		await this.#store.remove(id);
+	}
+
+	/**
+	 * Remove an entry that can never be delivered
+	 * @param {String} id event identifier
+	 * @param {String} reason why the entry is dropped
+	 * @returns {Promise<void>}
+	 */
+	async drop(id, reason) {
+		await this.load();
+		await this.#drop(id, reason);
+	}
+
+	/**
+	 * Number of entries waiting to be delivered
+	 * @returns {Number}
+	 */
+	get size() {
+		return this.#entries.size;
+	}
+
+	async #drop(id, reason) {
+		const entry = this.#entries.get(id);
+		if (entry) {
+			this.#entries.delete(id);
+			await this.#store.remove(id);
+			this.#onDrop(entry, reason);
+		}
+	}
+
+	async #prune() {
+		const expired = Date.now() - this.#maxAge;
+		for (const entry of [ ...this.#entries.values() ]) {
+			if (entry.createdAt < expired) {
+				await this.#drop(entry.id, 'age');
+			}
+		}
+		while (this.#entries.size > this.#maxEntries) {
+			await this.#drop(this.#entries.keys().next().value, 'size');
+		}
+	}
+}
+
+module.exports = {
+	FileStore,
+	MemoryStore,
+	Outbox
+};
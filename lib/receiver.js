@@ -0,0 +1,198 @@
+const http = require('http');
+const https = require('https');
+const { Readable } = require('stream');
+
+const { PubSubError } = require('./errors');
+
+/**
+ * Parse a `content-type` header
+ * @param {String} [header] header value, e.g. `application/json; charset=utf-8`
+ * @returns {Object} `{ type, charset }`, the media type lower cased and the charset if set
+ */
+function parseContentType(header) {
+	const [ type, ...params ] = String(header || '').split(';');
+	const charset = params
+		.map(param => param.trim().split('='))
+		.find(([ name ]) => name.toLowerCase() === 'charset');
+	return {
+		type: type.trim().toLowerCase(),
+		charset: charset?.[1]?.trim().replace(/^"(.*)"$/, '$1').toLowerCase()
+	};
+}
+
+/**
+ * Read a request body, giving up once it exceeds the size limit.
+ * The `content-length` header is only used to fail early, the bytes actually received are counted.
+ * @param {EventEmitter} req request stream
+ * @param {Number} maxBodySize maximum body size in bytes
+ * @returns {Promise<Buffer>} the body
+ * @throws {PubSubError} `body_too_large` when the body exceeds the limit
+ */
+function readBody(req, maxBodySize) {
+	return new Promise((resolve, reject) => {
+		const tooLarge = () => {
+			cleanup();
+			// Keep reading so the socket can still be answered, the data is discarded
+			typeof req.resume === 'function' && req.resume();
+			reject(new PubSubError(`Body exceeds ${maxBodySize} bytes`, 'body_too_large'));
+		};
+		const chunks = [];
+		let size = 0;
+		const onData = chunk => {
+			chunk = Buffer.from(chunk);
+			size += chunk.length;
+			if (size > maxBodySize) {
+				return tooLarge();
+			}
+			chunks.push(chunk);
+		};
+		const onEnd = () => {
+			cleanup();
+			resolve(Buffer.concat(chunks));
+		};
+		const onError = err => {
+			cleanup();
+			reject(err);
+		};
+		const cleanup = () => {
+			req.off('data', onData);
+			req.off('end', onEnd);
+			req.off('error', onError);
+		};
+
+		if (Number(req.headers?.['content-length']) > maxBodySize) {
+			return tooLarge();
+		}
+		req.on('data', onData);
+		req.on('end', onEnd);
+		req.on('error', onError);
+	});
+}
+
+/**
+ * Create an HTTP(S) server receiving webhooks for a client
+ * @param {PubSubClient} client client handling the webhooks
+ * @param {Object} opts server options
+ * @param {String} opts.path route the PubSub server delivers events to
+ * @param {String|null} opts.healthPath route answering health checks, disabled if null
+ * @param {Object} [opts.tls] `https.createServer()` options, e.g. `{ key, cert }`, plain HTTP if not set
+ * @param {Function} onError called with errors thrown while handling a request
+ * @returns {http.Server|https.Server} the server, not listening yet
+ */
+function createReceiver(client, { path, healthPath, tls }, onError) {
+	const handler = async (req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+
+		if (healthPath && pathname === healthPath && [ 'GET', 'HEAD' ].includes(req.method)) {
+			// Healthy once the config is loaded, as webhooks are answered with 503 until then
+			const ready = !!client._config;
+			return respond(res, ready ? 200 : 503, { status: ready ? 'ok' : 'starting' });
+		}
+		if (pathname !== path) {
+			return respond(res, 404, { success: false, message: 'Not found.' });
+		}
+		if (req.method !== 'POST') {
+			res.setHeader('allow', 'POST');
+			return respond(res, 405, { success: false, message: 'Method not allowed.' });
+		}
+
+		try {
+			await client.handleWebhook(req, res);
+		} catch (err) {
+			onError(err);
+			if (!res.headersSent) {
+				respond(res, 500, { success: false, message: 'Internal server error.' });
+			}
+		}
+	};
+	return tls ? https.createServer(tls, handler) : http.createServer(handler);
+}
+
+/**
+ * Koa middleware handling webhooks, e.g. `router.post('/webhook', koaMiddleware(client))`.
+ * Uses the body parsed by a body parser when there is one, otherwise reads the request.
+ * @param {PubSubClient} client client handling the webhooks
+ * @returns {Function} `async (ctx) => {}` middleware
+ */
+function koaMiddleware(client) {
+	return async ctx => {
+		const res = await dispatch(client, ctx.req, ctx.request.body);
+		ctx.status = res.statusCode;
+		ctx.set(res.headers);
+		ctx.body = res.body;
+	};
+}
+
+/**
+ * Fastify route handler for webhooks, e.g. `fastify.post('/webhook', fastifyHandler(client))`.
+ * Relies on Fastify's JSON body parsing.
+ * @param {PubSubClient} client client handling the webhooks
+ * @returns {Function} `async (request, reply) => {}` handler
+ */
+function fastifyHandler(client) {
+	return async (request, reply) => {
+		const res = await dispatch(client, request.raw, request.body);
+		return reply.code(res.statusCode).headers(res.headers).send(res.body);
+	};
+}
+
+/**
+ * Handler for runtimes built on Web-standard `Request`/`Response`, e.g. Deno, Bun or edge functions
+ * @param {PubSubClient} client client handling the webhooks
+ * @returns {Function} `async (request) => Response` handler
+ */
+function fetchHandler(client) {
+	return async request => {
+		const req = request.body ? Readable.fromWeb(request.body) : Readable.from([]);
+		req.headers = Object.fromEntries(request.headers);
+		req.url = request.url;
+		const res = await dispatch(client, req);
+		return new Response(res.body, { status: res.statusCode, headers: res.headers });
+	};
+}
+
+/**
+ * Pass a request to `handleWebhook()`, recording the response instead of writing it
+ * @param {PubSubClient} client client handling the webhooks
+ * @param {Object} req request with `headers`, read as a stream unless the body is given
+ * @param {Object} [body] body already parsed by the framework
+ * @returns {Promise<Object>} the response as `{ statusCode, headers, body }`
+ */
+async function dispatch(client, req, body) {
+	const res = new ResponseRecorder();
+	await client.handleWebhook(body !== undefined ? { headers: req.headers, url: req.url, body } : req, res);
+	return res;
+}
+
+/**
+ * Minimal response capturing what `handleWebhook()` answers
+ */
+class ResponseRecorder {
+	statusCode = 200;
+	headers = {};
+	body = null;
+
+	writeHead(code, headers) {
+		this.statusCode = code;
+		Object.assign(this.headers, headers);
+	}
+
+	end(body) {
+		this.body = body ?? null;
+	}
+}
+
+function respond(res, code, body) {
+	res.writeHead(code, { 'content-type': 'application/json' });
+	res.end(JSON.stringify(body));
+}
+
+module.exports = {
+	ResponseRecorder,
+	createReceiver,
+	fastifyHandler,
+	fetchHandler,
+	koaMiddleware,
+	parseContentType,
+	readBody
+};
@@ -0,0 +1,249 @@
+const { createHmac, randomBytes } = require('crypto');
+
+const ACTIONS = [ 'drop', 'mask', 'partial', 'hash' ];
+
+// The server side does masking as well, but doesn't hurt to do it at origin
+const DEFAULT_RULES = [
+	{ key: /^(password|creditcard)/, action: 'mask' }
+];
+
+/**
+ * Built-in value detectors, matching string values
+ */
+const DETECTORS = {
+	card: value => {
+		const digits = value.replace(/[\s-]/g, '');
+		return /^\d{13,19}$/.test(digits) && luhn(digits);
+	},
+	jwt: value => /^eyJ[\w-]*\.[\w-]+\.[\w-]*$/.test(value),
+	email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+const DROP = Symbol('drop');
+const ANY_DEPTH = Symbol('..');
+
+/**
+ * Applies redaction rules to outbound payloads.
+ *
+ * A rule matches on any combination of:
+ * - `key`: RegExp tested against the property name
+ * - `path`: JSONPath-style path, e.g. `$.user.ssn`, `$.items[*].number` or `$..token`
+ * - `detect`: `card` (Luhn checked), `jwt`, `email`, a RegExp or a function tested against the value
+ *
+ * and redacts the value with its `action`:
+ * - `drop`: remove the property
+ * - `mask`: replace the value with `replacement` (default `[HIDDEN]`)
+ * - `partial`: mask all but the last `visible` characters (default 4)
+ * - `hash`: replace the value with a salted SHA-256 hash, so equal values can still be correlated
+ *
+ * The first matching rule wins.
+ */
+class Redactor {
+	#rules;
+	#salt;
+
+	/**
+	 * @param {Object} [opts] redaction options
+	 * @param {Array<Object>} [opts.rules] redaction rules, applied before the default rule
+	 * @param {Boolean} [opts.defaults=true] keep the default rule masking `password*` and `creditcard*` keys
+	 * @param {String} [opts.salt] salt for the `hash` action, random per process if not set
+	 */
+	constructor(opts = {}) {
+		this.#salt = opts.salt || randomBytes(32).toString('hex');
+		this.#rules = [
+			...(opts.rules || []),
+			...(opts.defaults === false ? [] : DEFAULT_RULES)
+		].map(rule => this.#compile(rule));
+	}
+
+	/**
+	 * Sanitize and redact an object in place
+	 * @param {Object} obj object to redact
+	 * @param {Object} [overrides] per call overrides
+	 * @param {Array<Object>} [overrides.rules] extra rules, applied before the configured ones
+	 * @param {Boolean} [overrides.inherit=true] apply the configured rules as well
+	 * @returns {Object} the redacted object
+	 */
+	redact(obj, overrides = {}) {
+		const rules = [
+			...(overrides.rules || []).map(rule => this.#compile(rule)),
+			...(overrides.inherit === false ? [] : this.#rules)
+		];
+		return this.#walk(obj, [], rules, []);
+	}
+
+	#walk(obj, path, rules, seen) {
+		if (!obj || typeof obj !== 'object') {
+			return obj;
+		}
+		if (obj instanceof RegExp) {
+			return obj.source;
+		}
+		if (obj instanceof Date) {
+			return obj;
+		}
+
+		const dropped = [];
+		Object.keys(obj).forEach(key => {
+			let value = obj[key];
+			const type = typeof value;
+			const childPath = [ ...path, Array.isArray(obj) ? Number(key) : key ];
+			const rule = type !== 'function' && rules.find(r => r.matches(key, childPath, value));
+
+			if (type === 'function') {
+				dropped.push(key);
+			} else if (rule) {
+				value = rule.apply(value);
+				if (value === DROP) {
+					dropped.push(key);
+				} else {
+					obj[key] = value;
+				}
+			} else if (value instanceof Date) {
+				// do nothing
+			} else if (value instanceof RegExp) {
+				obj[key] = value.source;
+			} else if (value && type === 'object') {
+				if (seen.includes(value)) {
+					value = '[Circular]';
+				} else {
+					seen.push(value);
+					value = this.#walk(value, childPath, rules, seen);
+				}
+				obj[key] = value;
+			}
+		});
+
+		if (Array.isArray(obj)) {
+			dropped.reverse().forEach(index => obj.splice(index, 1));
+		} else {
+			dropped.forEach(key => delete obj[key]);
+		}
+		return obj;
+	}
+
+	#compile(rule) {
+		if (!rule || (!rule.key && !rule.path && !rule.detect)) {
+			throw new Error('Redaction rule requires a key, path or detect');
+		}
+		const action = rule.action || 'mask';
+		if (!ACTIONS.includes(action)) {
+			throw new Error(`Invalid redaction action: ${action}`);
+		}
+
+		const key = rule.key && (rule.key instanceof RegExp ? rule.key : new RegExp(`^${escape(rule.key)}$`));
+		const path = rule.path && parsePath(rule.path);
+		const detect = rule.detect && compileDetector(rule.detect);
+		const salt = rule.salt || this.#salt;
+
+		return {
+			matches: (name, valuePath, value) => (!key || key.test(name))
+				&& (!path || matchPath(path, 0, valuePath, 0))
+				&& (!detect || detect(value)),
+			apply: value => {
+				switch (action) {
+					case 'drop':
+						return DROP;
+					case 'partial': {
+						const str = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+						const visible = rule.visible ?? 4;
+						const keep = Math.min(visible, Math.floor(str.length / 2));
+						return '*'.repeat(str.length - keep) + str.slice(str.length - keep);
+					}
+					case 'hash':
+						return 'sha256:' + createHmac('sha256', salt).update(typeof value === 'string' ? value : JSON.stringify(value) ?? '').digest('hex');
+					default:
+						return rule.replacement ?? '[HIDDEN]';
+				}
+			}
+		};
+	}
+}
+
+function compileDetector(detect) {
+	if (typeof detect === 'function') {
+		return detect;
+	}
+	if (detect instanceof RegExp) {
+		return value => typeof value === 'string' && detect.test(value);
+	}
+	if (!DETECTORS[detect]) {
+		throw new Error(`Invalid redaction detector: ${detect}`);
+	}
+	return value => typeof value === 'string' && DETECTORS[detect](value);
+}
+
+/**
+ * Parse a JSONPath-style path into segments.
+ * Supports `$` as root, `.name`, `['name']`, `[0]`, `*` / `[*]` wildcards and `..` for any depth.
+ * @param {String} path path to parse
+ * @returns {Array<String|Number|Symbol>} segments
+ */
+function parsePath(path) {
+	const segments = [];
+	const re = /(\.\.)|\.?([^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/g;
+	let match;
+	let position = 0;
+	path = String(path).replace(/^\$/, '');
+	while ((match = re.exec(path)) !== null) {
+		if (match.index !== position) {
+			break;
+		}
+		position = re.lastIndex;
+		if (match[1]) {
+			segments.push(ANY_DEPTH);
+		} else if (match[2] !== undefined) {
+			segments.push(match[2]);
+		} else {
+			const token = match[3];
+			segments.push(/^\d+$/.test(token) ? Number(token) : token === '*' ? '*' : token.slice(1, -1));
+		}
+	}
+	if (position !== path.length) {
+		throw new Error(`Invalid redaction path: ${path}`);
+	}
+	return segments;
+}
+
+function matchPath(pattern, i, path, j) {
+	if (i === pattern.length) {
+		return j === path.length;
+	}
+	const segment = pattern[i];
+	if (segment === ANY_DEPTH) {
+		// Skip any number of segments, including none
+		for (let k = j; k <= path.length; k++) {
+			if (matchPath(pattern, i + 1, path, k)) {
+				return true;
+			}
+		}
+		return false;
+	}
+	if (j === path.length) {
+		return false;
+	}
+	return (segment === '*' || segment === path[j] || String(segment) === String(path[j])) && matchPath(pattern, i + 1, path, j + 1);
+}
+
+function luhn(digits) {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let digit = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) {
+				digit -= 9;
+			}
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+function escape(str) {
+	return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+	Redactor
+};
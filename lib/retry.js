@@ -0,0 +1,124 @@
+const DEFAULT = {
+	baseDelay: 500,
+	maxDelay: 60000,
+	maxRetryAfter: null,
+	jitter: 'none',
+	retryableStatuses: null,
+	retryNetworkErrors: true,
+	shouldRetry: null
+};
+
+// Responses that will never succeed when sent again
+const PERMANENT_STATUSES = [ 400, 401, 403, 404 ];
+
+const JITTER = [ 'none', 'full', 'decorrelated' ];
+
+/**
+ * Decides whether and when a failed send is attempted again
+ */
+class RetryPolicy {
+	#baseDelay;
+	#maxDelay;
+	#maxRetryAfter;
+	#jitter;
+	#retryableStatuses;
+	#retryNetworkErrors;
+	#shouldRetry;
+
+	/**
+	 * @param {Object} [opts] retry policy options
+	 * @param {Number} [opts.baseDelay=500] delay in ms before the first retry, doubled for each following one
+	 * @param {Number} [opts.maxDelay=60000] maximum delay in ms between retries
+	 * @param {Number} [opts.maxRetryAfter] maximum delay in ms honored from a `Retry-After` header, defaults to `maxDelay`
+	 * @param {String} [opts.jitter='none'] randomization of the delay: `none`, `full` or `decorrelated`
+	 * @param {Array<Number>} [opts.retryableStatuses] HTTP statuses to retry, defaults to any failure except 400, 401, 403 and 404
+	 * @param {Boolean} [opts.retryNetworkErrors=true] retry when the request fails without a response (DNS, connection reset, timeout)
+	 * @param {Function} [opts.shouldRetry] `(err, attempt)` hook overriding the decision, return nothing to keep the default
+	 */
+	constructor(opts = {}) {
+		opts = { ...DEFAULT, ...opts };
+		if (!JITTER.includes(opts.jitter)) {
+			throw new Error(`Invalid retry jitter: ${opts.jitter}`);
+		}
+		if (opts.shouldRetry && typeof opts.shouldRetry !== 'function') {
+			throw new Error('retryPolicy.shouldRetry must be a function');
+		}
+
+		this.#baseDelay = Math.max(Number(opts.baseDelay) || 0, 0);
+		this.#maxDelay = Math.max(Number(opts.maxDelay) || 0, this.#baseDelay);
+		this.#maxRetryAfter = opts.maxRetryAfter === null || opts.maxRetryAfter === undefined ? this.#maxDelay : Math.max(Number(opts.maxRetryAfter) || 0, 0);
+		this.#jitter = opts.jitter;
+		this.#retryableStatuses = Array.isArray(opts.retryableStatuses) ? opts.retryableStatuses.map(Number) : null;
+		this.#retryNetworkErrors = !!opts.retryNetworkErrors;
+		this.#shouldRetry = opts.shouldRetry;
+	}
+
+	/**
+	 * Check whether a failed attempt should be retried
+	 * @param {DeliveryError} err error of the failed attempt
+	 * @param {Number} attempt number of attempts made so far
+	 * @returns {Boolean} true to retry
+	 */
+	shouldRetry(err, attempt) {
+		const custom = this.#shouldRetry?.(err, attempt);
+		if (custom !== undefined && custom !== null) {
+			return !!custom;
+		}
+
+		if (err.code === 'closed') {
+			return false;
+		}
+		if (err.code === 'request_failed') {
+			return this.#retryNetworkErrors;
+		}
+		if (!err.status) {
+			return false;
+		}
+		return this.#retryableStatuses ? this.#retryableStatuses.includes(err.status) : !PERMANENT_STATUSES.includes(err.status);
+	}
+
+	/**
+	 * Compute the delay before the next attempt
+	 * @param {Number} attempt number of attempts made so far
+	 * @param {Number} [previous] delay used before the previous attempt, for decorrelated jitter
+	 * @param {Number} [retryAfter] delay in ms requested by the server through `Retry-After`
+	 * @returns {Number} delay in ms
+	 */
+	delay(attempt, previous, retryAfter) {
+		if (retryAfter >= 0) {
+			// A server asking for hours would otherwise hold every pending event, and flush(), that long
+			return Math.min(retryAfter, this.#maxRetryAfter);
+		}
+
+		if (this.#jitter === 'decorrelated') {
+			const upper = Math.max(previous || this.#baseDelay, this.#baseDelay) * 3;
+			return Math.min(this.#maxDelay, this.#baseDelay + Math.random() * (upper - this.#baseDelay));
+		}
+
+		const backoff = Math.min(this.#maxDelay, Math.max(this.#baseDelay, (Math.pow(2, attempt) - 1) * this.#baseDelay));
+		return this.#jitter === 'full' ? Math.random() * backoff : backoff;
+	}
+}
+
+/**
+ * Parse a `Retry-After` header value
+ * @param {String} value header value, either delay seconds or an HTTP date
+ * @returns {Number|undefined} delay in ms, if the header is valid
+ */
+function parseRetryAfter(value) {
+	if (!value) {
+		return;
+	}
+	if (/^\d+$/.test(value.trim())) {
+		return Number(value) * 1000;
+	}
+	const date = Date.parse(value);
+	if (!isNaN(date)) {
+		return Math.max(date - Date.now(), 0);
+	}
+}
+
+module.exports = {
+	RetryPolicy,
+	parseRetryAfter
+};
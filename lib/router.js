@@ -0,0 +1,204 @@
+const { EventEmitter } = require('events');
+
+const { ResponseRecorder } = require('./receiver');
+
+/**
+ * Routes webhooks delivered to a single endpoint to the client they are meant for, when one service
+ * consumes for several PubSub clients.
+ *
+ * The tenant is picked, in order, by the `resolve` option, the `header` option or the last segment of the
+ * request path matching a tenant name. Otherwise every tenant is tried in registration order and the request
+ * goes to the first one whose credentials authenticate it, so tenants without authentication should be
+ * picked by path or header.
+ *
+ * Emits `error` with `(err, tenant)` for the errors of the tenant clients and of the requests they handle,
+ * and `unrouted` with the request when no tenant authenticated it.
+ */
+class WebhookRouter extends EventEmitter {
+	#tenants = new Map();
+	#resolve;
+	#header;
+	#unrouted = 0;
+
+	/**
+	 * @param {Object} [opts] router options
+	 * @param {Object} [opts.clients] tenants to register, as `{ name: client }`
+	 * @param {Function} [opts.resolve] `(req) => name` returning the tenant of a request, or a falsy value to
+	 * fall back to the other strategies
+	 * @param {String} [opts.header] request header holding the tenant name
+	 */
+	constructor({ clients = {}, resolve, header } = {}) {
+		super();
+		this.#resolve = resolve;
+		this.#header = header?.toLowerCase();
+		Object.entries(clients).forEach(([ name, client ]) => this.add(name, client));
+	}
+
+	/**
+	 * Names of the registered tenants
+	 * @returns {Array<String>}
+	 */
+	get tenants() {
+		return [ ...this.#tenants.keys() ];
+	}
+
+	/**
+	 * Register a tenant
+	 * @param {String} name tenant name
+	 * @param {PubSubClient} client client receiving the tenant's webhooks
+	 * @returns {WebhookRouter} the router
+	 */
+	add(name, client) {
+		if (this.#tenants.has(name)) {
+			throw new Error(`Tenant already registered: ${name}`);
+		}
+		const onError = err => this.#error(name, err);
+		client.on('error', onError);
+		this.#tenants.set(name, { client, onError, metrics: emptyMetrics() });
+		return this;
+	}
+
+	/**
+	 * Unregister a tenant, the client itself is left open
+	 * @param {String} name tenant name
+	 * @returns {Boolean} whether the tenant was registered
+	 */
+	remove(name) {
+		const tenant = this.#tenants.get(name);
+		if (!tenant) {
+			return false;
+		}
+		tenant.client.off('error', tenant.onError);
+		return this.#tenants.delete(name);
+	}
+
+	/**
+	 * Client registered for a tenant
+	 * @param {String} name tenant name
+	 * @returns {PubSubClient|undefined}
+	 */
+	get(name) {
+		return this.#tenants.get(name)?.client;
+	}
+
+	/**
+	 * Counters per tenant since the router was created
+	 * @returns {Object} `{ unrouted, tenants: { name: { received, accepted, rejected, failed, unauthorized, errors, lastError } } }`
+	 */
+	metrics() {
+		const tenants = {};
+		this.#tenants.forEach(({ metrics }, name) => tenants[name] = { ...metrics });
+		return { unrouted: this.#unrouted, tenants };
+	}
+
+	/**
+	 * Middleware handling webhooks for all the tenants. Works with the receiver and framework adapters
+	 * as a client would, e.g. `koaMiddleware(router)`.
+	 * @param {*} req request
+	 * @param {*} res response
+	 * @returns {Promise<void>}
+	 */
+	async handleWebhook(req, res) {
+		const name = this.#tenantName(req);
+		if (name !== undefined) {
+			const tenant = this.#tenants.get(name);
+			if (!tenant) {
+				this.#unrouted++;
+				this.emit('unrouted', req);
+				return respond(res, { statusCode: 404, headers: JSON_HEADERS, body: JSON.stringify({ success: false, message: 'Unknown tenant.' }) });
+			}
+			return this.#dispatch(name, tenant, req, res);
+		}
+
+		let pending;
+		for (const [ name, tenant ] of this.#tenants) {
+			const probe = new ResponseRecorder();
+			// Keep the tenants that don't match from counting the request as rejected
+			req._pubsubProbe = true;
+			const authenticated = await tenant.client.authenticateWebhook(req, probe);
+			delete req._pubsubProbe;
+			if (authenticated) {
+				return this.#dispatch(name, tenant, req, res);
+			}
+			if (!req.body && !req._pubsubBody) {
+				// The body could not be read, no tenant would do better
+				return respond(res, probe);
+			}
+			if (probe.statusCode === 503) {
+				pending = probe;
+			}
+		}
+
+		this.#unrouted++;
+		this.emit('unrouted', req);
+		// A tenant still loading its config may be the one, ask the server to retry later
+		respond(res, pending || { statusCode: 401, headers: JSON_HEADERS, body: JSON.stringify({ success: false, message: 'Unauthorized.' }) });
+	}
+
+	async #dispatch(name, { client, metrics }, req, res) {
+		const recorder = new ResponseRecorder();
+		if (!await client.authenticateWebhook(req, recorder)) {
+			if (recorder.statusCode === 401) {
+				metrics.unauthorized++;
+			}
+			return respond(res, recorder);
+		}
+
+		metrics.received++;
+		try {
+			await client.handleWebhook(req, recorder);
+		} catch (err) {
+			metrics.failed++;
+			this.#error(name, err);
+			return respond(res, { statusCode: 500, headers: JSON_HEADERS, body: JSON.stringify({ success: false, message: 'Internal server error.' }) });
+		}
+		if (recorder.statusCode < 300) {
+			metrics.accepted++;
+		} else if (recorder.statusCode < 500) {
+			metrics.rejected++;
+		} else {
+			metrics.failed++;
+		}
+		respond(res, recorder);
+	}
+
+	#tenantName(req) {
+		const name = this.#resolve?.(req) || (this.#header && req.headers?.[this.#header]);
+		if (name) {
+			return String(name);
+		}
+		const url = req.originalUrl || req.url;
+		if (url) {
+			const segment = new URL(url, 'http://localhost').pathname.split('/').filter(Boolean).pop();
+			if (segment && this.#tenants.has(decodeURIComponent(segment))) {
+				return decodeURIComponent(segment);
+			}
+		}
+	}
+
+	#error(name, err) {
+		const tenant = this.#tenants.get(name);
+		if (tenant) {
+			tenant.metrics.errors++;
+			tenant.metrics.lastError = { message: err.message, code: err.code, at: Date.now() };
+		}
+		if (this.listenerCount('error')) {
+			this.emit('error', err, name);
+		}
+	}
+}
+
+const JSON_HEADERS = { 'content-type': 'application/json' };
+
+function emptyMetrics() {
+	return { received: 0, accepted: 0, rejected: 0, failed: 0, unauthorized: 0, errors: 0, lastError: null };
+}
+
+function respond(res, { statusCode, headers, body }) {
+	res.writeHead(statusCode, headers);
+	res.end(body);
+}
+
+module.exports = {
+	WebhookRouter
+};
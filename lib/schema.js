@@ -0,0 +1,391 @@
+const { isPattern, matchTopic } = require('./topic');
+
+const TYPES = [ 'array', 'boolean', 'integer', 'null', 'number', 'object', 'string' ];
+
+const NUMERIC_KEYWORDS = [
+	'minLength', 'maxLength', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+	'minItems', 'maxItems', 'minProperties', 'maxProperties'
+];
+
+const KEYWORDS = [
+	...NUMERIC_KEYWORDS,
+	'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'patternProperties', 'items',
+	'uniqueItems', 'pattern', 'format', 'allOf', 'anyOf', 'oneOf', 'not', '$ref', 'definitions', '$defs'
+];
+
+// Keywords that only describe the schema and never affect validation
+const ANNOTATIONS = [ '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly' ];
+
+const FORMATS = {
+	'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value),
+	date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+	email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+	uri: value => {
+		try {
+			new URL(value);
+			return true;
+		} catch (_e) {
+			return false;
+		}
+	},
+	uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Maps topics and topic patterns to the JSON Schema their event data must match.
+ *
+ * Supports the commonly used JSON Schema keywords: `type`, `enum`, `const`, `properties`,
+ * `required`, `additionalProperties`, `patternProperties`, `minProperties`, `maxProperties`,
+ * `items`, `minItems`, `maxItems`, `uniqueItems`, `minLength`, `maxLength`, `pattern`, `format`,
+ * `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `allOf`, `anyOf`,
+ * `oneOf`, `not` and local `$ref`s (`#/definitions/...` or `#/$defs/...`), along with annotations such as
+ * `title` or `description`. Schemas using any other keyword, or an unknown `format`, are refused when they are
+ * registered rather than have part of them silently ignored.
+ *
+ * When several entries match a topic, the data must match every one of them.
+ */
+class SchemaRegistry {
+	#schemas = new Map();
+
+	/**
+	 * @param {Object} [schemas] JSON Schemas keyed by topic or topic pattern
+	 */
+	constructor(schemas = {}) {
+		Object.entries(schemas).forEach(([ topic, schema ]) => this.register(topic, schema));
+	}
+
+	/**
+	 * Number of registered schemas
+	 * @returns {Number}
+	 */
+	get size() {
+		return this.#schemas.size;
+	}
+
+	/**
+	 * Register the schema of a topic, replacing any previous one
+	 * @param {String} topic topic or topic pattern
+	 * @param {Object|Boolean} schema JSON Schema
+	 * @throws {Error} when the schema is invalid or unsupported, e.g. an unknown type or keyword, a bad pattern or an
+	 * unresolved or circular `$ref`
+	 */
+	register(topic, schema) {
+		if (!topic || typeof topic !== 'string') {
+			throw new Error('Schema topic must be a string');
+		}
+		if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+			throw new Error(`Invalid schema for ${topic}`);
+		}
+		try {
+			checkSchema(schema, schema, '#', new Set());
+		} catch (e) {
+			throw new Error(`Invalid schema for ${topic}: ${e.message}`);
+		}
+		this.#schemas.set(topic, schema);
+	}
+
+	/**
+	 * Remove the schema of a topic
+	 * @param {String} topic topic or topic pattern it was registered with
+	 * @returns {Boolean} whether a schema was removed
+	 */
+	unregister(topic) {
+		return this.#schemas.delete(topic);
+	}
+
+	/**
+	 * Validate event data against the schemas matching its topic
+	 * @param {String} topic event topic
+	 * @param {*} data event data
+	 * @returns {Array<Object>} validation errors as `{ path, keyword, message }`, empty if valid or no schema matches
+	 */
+	validate(topic, data) {
+		const errors = [];
+		this.#schemas.forEach((schema, pattern) => {
+			if (pattern === topic || (isPattern(pattern) && matchTopic(pattern, topic))) {
+				errors.push(...validateSchema(schema, data, '$', schema));
+			}
+		});
+		return errors;
+	}
+}
+
+/**
+ * Check a schema and its subschemas, so mistakes are reported when it is registered rather than when
+ * events are validated
+ * @param {Object|Boolean} schema schema to check
+ * @param {Object|Boolean} root schema `$ref`s are resolved against
+ * @param {String} path location of the schema in the root, for error messages
+ * @param {Set<Object>} checked schemas already checked
+ */
+function checkSchema(schema, root, path, checked) {
+	if (typeof schema === 'boolean') {
+		return;
+	}
+	if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+		throw new Error(`${path} must be an object or a boolean`);
+	}
+	if (checked.has(schema)) {
+		return;
+	}
+	checked.add(schema);
+
+	const unsupported = Object.keys(schema).find(keyword => !KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword));
+	if (unsupported !== undefined) {
+		throw new Error(`${path} uses an unsupported keyword: ${unsupported}`);
+	}
+	const notNumber = NUMERIC_KEYWORDS.find(keyword => schema[keyword] !== undefined && typeof schema[keyword] !== 'number');
+	if (notNumber) {
+		throw new Error(`${path}/${notNumber} must be a number`);
+	}
+	if (schema.format !== undefined && !FORMATS[schema.format]) {
+		throw new Error(`${path} uses an unsupported format: ${schema.format}`);
+	}
+	if (schema.$ref !== undefined) {
+		resolveRef(schema.$ref, root);
+	}
+	const unknown = [].concat(schema.type ?? []).find(t => !TYPES.includes(t));
+	if (unknown !== undefined) {
+		throw new Error(`${path} has an unknown type: ${unknown}`);
+	}
+	[ 'enum', 'required', 'allOf', 'anyOf', 'oneOf' ].forEach(keyword => {
+		if (schema[keyword] !== undefined && !Array.isArray(schema[keyword])) {
+			throw new Error(`${path}/${keyword} must be an array`);
+		}
+	});
+	[ schema.pattern, ...Object.keys(schema.patternProperties || {}) ].filter(pattern => pattern !== undefined).forEach(pattern => {
+		try {
+			new RegExp(pattern, 'u');
+		} catch (_e) {
+			throw new Error(`${path} has an invalid pattern: ${pattern}`);
+		}
+	});
+
+	const subschemas = [
+		...[ 'properties', 'patternProperties', 'definitions', '$defs' ]
+			.flatMap(keyword => Object.entries(schema[keyword] || {}).map(([ key, sub ]) => [ `${path}/${keyword}/${key}`, sub ])),
+		...[ 'allOf', 'anyOf', 'oneOf' ].flatMap(keyword => (schema[keyword] || []).map((sub, i) => [ `${path}/${keyword}/${i}`, sub ])),
+		...(Array.isArray(schema.items) ? schema.items.map((sub, i) => [ `${path}/items/${i}`, sub ]) : [ [ `${path}/items`, schema.items ] ]),
+		[ `${path}/additionalProperties`, schema.additionalProperties ],
+		[ `${path}/not`, schema.not ]
+	];
+	subschemas
+		.filter(([ , sub ]) => sub !== undefined)
+		.forEach(([ subPath, sub ]) => checkSchema(sub, root, subPath, checked));
+
+	assertNoCycle(schema, root, []);
+}
+
+/**
+ * Make sure a schema never ends up applied to the same value again through `$ref`s and combinators,
+ * which would recurse forever. References reached through `properties` or `items` are fine, they
+ * apply to a nested value.
+ * @param {Object|Boolean} schema schema to check
+ * @param {Object|Boolean} root schema `$ref`s are resolved against
+ * @param {Array<Object>} chain schemas applied to the same value so far
+ */
+function assertNoCycle(schema, root, chain) {
+	if (!schema || typeof schema !== 'object') {
+		return;
+	}
+	if (chain.includes(schema)) {
+		throw new Error('circular $ref');
+	}
+	const next = schema.$ref !== undefined
+		? [ resolveRef(schema.$ref, root) ]
+		: [ ...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || []), schema.not ];
+	next.forEach(sub => assertNoCycle(sub, root, [ ...chain, schema ]));
+}
+
+function validateSchema(schema, value, path, root) {
+	if (schema === true) {
+		return [];
+	}
+	if (schema === false) {
+		return [ error(path, 'false', 'is not allowed') ];
+	}
+
+	if (schema.$ref !== undefined) {
+		return validateSchema(resolveRef(schema.$ref, root), value, path, root);
+	}
+
+	const errors = [];
+	const type = typeOf(value);
+
+	if (schema.type !== undefined) {
+		const types = [].concat(schema.type);
+		const unknown = types.find(t => !TYPES.includes(t));
+		if (unknown) {
+			throw new Error(`Invalid schema type: ${unknown}`);
+		}
+		if (!types.some(t => t === type || (t === 'number' && type === 'integer'))) {
+			// Type mismatch makes every other keyword meaningless
+			return [ error(path, 'type', `must be ${types.join(' or ')}`) ];
+		}
+	}
+	if (schema.enum !== undefined && !schema.enum.some(candidate => equal(candidate, value))) {
+		errors.push(error(path, 'enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`));
+	}
+	if (schema.const !== undefined && !equal(schema.const, value)) {
+		errors.push(error(path, 'const', `must be ${JSON.stringify(schema.const)}`));
+	}
+
+	if (type === 'string') {
+		const length = [ ...value ].length;
+		if (schema.minLength !== undefined && length < schema.minLength) {
+			errors.push(error(path, 'minLength', `must have at least ${schema.minLength} characters`));
+		}
+		if (schema.maxLength !== undefined && length > schema.maxLength) {
+			errors.push(error(path, 'maxLength', `must have at most ${schema.maxLength} characters`));
+		}
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+			errors.push(error(path, 'pattern', `must match pattern ${schema.pattern}`));
+		}
+		if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+			errors.push(error(path, 'format', `must be a valid ${schema.format}`));
+		}
+	}
+
+	if (type === 'number' || type === 'integer') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			errors.push(error(path, 'minimum', `must be >= ${schema.minimum}`));
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			errors.push(error(path, 'maximum', `must be <= ${schema.maximum}`));
+		}
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+			errors.push(error(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+		}
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+			errors.push(error(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+		}
+		if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+			errors.push(error(path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+		}
+	}
+
+	if (type === 'array') {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			errors.push(error(path, 'minItems', `must have at least ${schema.minItems} items`));
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			errors.push(error(path, 'maxItems', `must have at most ${schema.maxItems} items`));
+		}
+		if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => equal(other, item)) !== i)) {
+			errors.push(error(path, 'uniqueItems', 'must not contain duplicate items'));
+		}
+		if (Array.isArray(schema.items)) {
+			schema.items.forEach((itemSchema, i) => {
+				if (i < value.length) {
+					errors.push(...validateSchema(itemSchema, value[i], `${path}[${i}]`, root));
+				}
+			});
+		} else if (schema.items !== undefined) {
+			value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`, root)));
+		}
+	}
+
+	if (type === 'object') {
+		const keys = Object.keys(value);
+		if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+			errors.push(error(path, 'minProperties', `must have at least ${schema.minProperties} properties`));
+		}
+		if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+			errors.push(error(path, 'maxProperties', `must have at most ${schema.maxProperties} properties`));
+		}
+		(schema.required || [])
+			.filter(key => !Object.prototype.hasOwnProperty.call(value, key))
+			.forEach(key => errors.push(error(propertyPath(path, key), 'required', 'is required')));
+
+		const properties = schema.properties || {};
+		const patterns = Object.entries(schema.patternProperties || {}).map(([ pattern, propSchema ]) => [ new RegExp(pattern, 'u'), propSchema ]);
+		keys.forEach(key => {
+			const keyPath = propertyPath(path, key);
+			let matched = false;
+			if (Object.prototype.hasOwnProperty.call(properties, key)) {
+				matched = true;
+				errors.push(...validateSchema(properties[key], value[key], keyPath, root));
+			}
+			patterns.filter(([ re ]) => re.test(key)).forEach(([ , propSchema ]) => {
+				matched = true;
+				errors.push(...validateSchema(propSchema, value[key], keyPath, root));
+			});
+			if (!matched && schema.additionalProperties !== undefined) {
+				errors.push(...(schema.additionalProperties === false
+					? [ error(keyPath, 'additionalProperties', 'is not allowed') ]
+					: validateSchema(schema.additionalProperties, value[key], keyPath, root)));
+			}
+		});
+	}
+
+	if (schema.allOf) {
+		schema.allOf.forEach(sub => errors.push(...validateSchema(sub, value, path, root)));
+	}
+	if (schema.anyOf && !schema.anyOf.some(sub => !validateSchema(sub, value, path, root).length)) {
+		errors.push(error(path, 'anyOf', 'must match at least one schema in anyOf'));
+	}
+	if (schema.oneOf) {
+		const matches = schema.oneOf.filter(sub => !validateSchema(sub, value, path, root).length).length;
+		if (matches !== 1) {
+			errors.push(error(path, 'oneOf', `must match exactly one schema in oneOf, matched ${matches}`));
+		}
+	}
+	if (schema.not !== undefined && !validateSchema(schema.not, value, path, root).length) {
+		errors.push(error(path, 'not', 'must not match the schema in not'));
+	}
+
+	return errors;
+}
+
+function resolveRef(ref, root) {
+	if (ref === '#') {
+		return root;
+	}
+	if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+		throw new Error(`Unsupported schema $ref: ${ref}`);
+	}
+	const target = ref.slice(2).split('/').reduce((node, segment) => {
+		const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+		return node && typeof node === 'object' ? node[key] : undefined;
+	}, root);
+	if (target === undefined) {
+		throw new Error(`Unresolved schema $ref: ${ref}`);
+	}
+	return target;
+}
+
+function typeOf(value) {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? 'integer' : 'number';
+	}
+	return typeof value;
+}
+
+function equal(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (typeOf(a) !== typeOf(b) || !a || typeof a !== 'object') {
+		return false;
+	}
+	const keys = Object.keys(a);
+	return keys.length === Object.keys(b).length && keys.every(key => equal(a[key], b[key]));
+}
+
+function propertyPath(path, key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function error(path, keyword, message) {
+	return { path, keyword, message: `${path} ${message}` };
+}
+
+module.exports = {
+	SchemaRegistry
+};
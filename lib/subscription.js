@@ -0,0 +1,153 @@
+const DEFAULT = {
+	highWaterMark: 100
+};
+
+/**
+ * Listener registered for a topic or pattern, removed with `unsubscribe()` or by disposing it
+ * (`using subscription = client.subscribe(...)`).
+ */
+class Subscription {
+	#emitter;
+	#name;
+	#listener;
+
+	/**
+	 * @param {EventEmitter} emitter client the listener is registered with
+	 * @param {String} pattern topic or pattern
+	 * @param {Function} listener listener called with each received event
+	 */
+	constructor(emitter, pattern, listener) {
+		this.pattern = pattern;
+		this.#emitter = emitter;
+		this.#name = `event:${pattern}`;
+		this.#listener = listener;
+		emitter.on(this.#name, listener);
+	}
+
+	/**
+	 * Whether the subscription was removed
+	 * @returns {Boolean}
+	 */
+	get closed() {
+		return !this.#listener;
+	}
+
+	/**
+	 * Remove the listener, calling it again is a no-op
+	 */
+	unsubscribe() {
+		if (this.#listener) {
+			this.#emitter.off(this.#name, this.#listener);
+			this.#listener = null;
+		}
+	}
+
+	[Symbol.dispose]() {
+		this.unsubscribe();
+	}
+}
+
+/**
+ * Async iterator over the events received for a topic or pattern.
+ *
+ * Events are buffered until they are iterated. Once more than `highWaterMark` events are buffered the
+ * listener returns a promise that resolves when the iteration catches up, so webhooks awaiting their
+ * handlers and pull consumers hold further events back.
+ */
+class EventIterator {
+	#subscription;
+	#buffer = [];
+	#highWaterMark;
+	#readers = [];
+	#writers = [];
+	#signal;
+	#onAbort;
+	#onEnd;
+	#done = false;
+
+	/**
+	 * @param {EventEmitter} emitter client to receive events from
+	 * @param {String} pattern topic or pattern
+	 * @param {Object} [opts] iterator options
+	 * @param {AbortSignal} [opts.signal] ends the iteration when aborted
+	 * @param {Number} [opts.highWaterMark=100] number of buffered events before pushing back
+	 * @param {Function} [onEnd] called with the iterator once the iteration ended
+	 */
+	constructor(emitter, pattern, { signal, highWaterMark } = {}, onEnd = () => {}) {
+		this.#onEnd = onEnd;
+		this.#highWaterMark = Number(highWaterMark) || DEFAULT.highWaterMark;
+		this.#subscription = new Subscription(emitter, pattern, event => this.#push(event));
+		this.#signal = signal;
+		if (signal?.aborted) {
+			this.return();
+		} else if (signal) {
+			this.#onAbort = () => this.return();
+			signal.addEventListener('abort', this.#onAbort, { once: true });
+		}
+	}
+
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+
+	/**
+	 * Whether the iteration ended
+	 * @returns {Boolean}
+	 */
+	get ended() {
+		return this.#done;
+	}
+
+	/**
+	 * Wait for the next event
+	 * @returns {Promise<Object>} `{ value, done }`
+	 */
+	next() {
+		if (this.#buffer.length) {
+			const value = this.#buffer.shift();
+			if (this.#buffer.length <= this.#highWaterMark) {
+				this.#writers.splice(0).forEach(resolve => resolve());
+			}
+			return Promise.resolve({ value, done: false });
+		}
+		if (this.#done) {
+			return Promise.resolve({ value: undefined, done: true });
+		}
+		return new Promise(resolve => this.#readers.push(resolve));
+	}
+
+	/**
+	 * Stop iterating, dropping the buffered events. Called when a `for await` loop exits early.
+	 * @returns {Promise<Object>} `{ value: undefined, done: true }`
+	 */
+	return() {
+		if (!this.#done) {
+			this.#done = true;
+			this.#subscription.unsubscribe();
+			this.#signal?.removeEventListener('abort', this.#onAbort);
+			this.#buffer = [];
+			this.#readers.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+			this.#writers.splice(0).forEach(resolve => resolve());
+			this.#onEnd(this);
+		}
+		return Promise.resolve({ value: undefined, done: true });
+	}
+
+	#push(event) {
+		if (this.#done) {
+			return;
+		}
+		if (this.#readers.length) {
+			return this.#readers.shift()({ value: event, done: false });
+		}
+		this.#buffer.push(event);
+		if (this.#buffer.length > this.#highWaterMark) {
+			return new Promise(resolve => this.#writers.push(resolve));
+		}
+	}
+}
+
+module.exports = {
+	EventIterator,
+	Subscription
+};
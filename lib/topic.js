@@ -0,0 +1,94 @@
+/**
+ * Topic pattern matching.
+ *
+ * Topics are dot separated segments, e.g. `com.foo.bar`. Patterns may contain
+ * `*` to match exactly one segment, or `**` to match one or more segments.
+ * Wildcards may be used at any position, e.g. `com.*.bar` or `com.**.bar`.
+ */
+
+const SEPARATOR = '.';
+
+/**
+ * Check whether a concrete topic matches a topic pattern
+ * @param {String} pattern topic pattern, e.g. `com.foo.*`
+ * @param {String} topic concrete topic, e.g. `com.foo.bar`
+ * @returns {Boolean} true if the topic matches the pattern
+ */
+function matchTopic(pattern, topic) {
+	if (typeof pattern !== 'string' || typeof topic !== 'string') {
+		return false;
+	}
+	if (pattern === topic) {
+		return true;
+	}
+	return matchSegments(pattern.split(SEPARATOR), 0, topic.split(SEPARATOR), 0);
+}
+
+/**
+ * Check whether two topic patterns can both match at least one common topic
+ * @param {String} a topic pattern
+ * @param {String} b topic pattern
+ * @returns {Boolean} true if some concrete topic would match both patterns
+ */
+function topicsOverlap(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') {
+		return false;
+	}
+	if (a === b) {
+		return true;
+	}
+	return overlapSegments(a.split(SEPARATOR), 0, b.split(SEPARATOR), 0);
+}
+
+/**
+ * Check whether a topic contains any wildcard segments
+ * @param {String} topic topic or pattern
+ * @returns {Boolean} true if the topic contains `*` or `**` segments
+ */
+function isPattern(topic) {
+	return typeof topic === 'string' && topic.split(SEPARATOR).some(segment => segment === '*' || segment === '**');
+}
+
+function matchSegments(pattern, i, topic, j) {
+	if (i === pattern.length) {
+		return j === topic.length;
+	}
+	if (j === topic.length) {
+		return false;
+	}
+
+	const segment = pattern[i];
+	if (segment === '**') {
+		// Consume this segment and either stop here or keep consuming
+		return matchSegments(pattern, i + 1, topic, j + 1) || matchSegments(pattern, i, topic, j + 1);
+	}
+	if (segment === '*' || segment === topic[j]) {
+		return matchSegments(pattern, i + 1, topic, j + 1);
+	}
+	return false;
+}
+
+function overlapSegments(a, i, b, j) {
+	if (i === a.length || j === b.length) {
+		return i === a.length && j === b.length;
+	}
+
+	const x = a[i];
+	const y = b[j];
+	if (x === '**' || y === '**') {
+		// Both patterns consume the next concrete segment, then either side may keep consuming
+		return overlapSegments(a, i + 1, b, j + 1)
+			|| (x === '**' && overlapSegments(a, i, b, j + 1))
+			|| (y === '**' && overlapSegments(a, i + 1, b, j));
+	}
+	if (x === '*' || y === '*' || x === y) {
+		return overlapSegments(a, i + 1, b, j + 1);
+	}
+	return false;
+}
+
+module.exports = {
+	isPattern,
+	matchTopic,
+	topicsOverlap
+};
@@ -0,0 +1,111 @@
+const { version } = require('../package.json');
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Read a W3C `traceparent` header
+ * @param {String} [header] header value, e.g. `00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01`
+ * @returns {Object|null} `{ traceId, spanId, traceFlags }`, or null if the header is missing or invalid
+ */
+function parseTraceparent(header) {
+	const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+	if (!match) {
+		return null;
+	}
+	const [ , ver, traceId, spanId, flags, rest ] = match;
+	// Version 00 has no more fields, later versions may add some
+	if (ver === 'ff' || (ver === '00' && rest) || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+		return null;
+	}
+	return { traceId, spanId, traceFlags: parseInt(flags, 16) };
+}
+
+/**
+ * Build a W3C `traceparent` header
+ * @param {Object} spanContext `{ traceId, spanId, traceFlags }`
+ * @returns {String|null} header value, or null if the span context is not valid
+ */
+function formatTraceparent({ traceId, spanId, traceFlags = 0 } = {}) {
+	if (!/^[0-9a-f]{32}$/.test(traceId) || !/^[0-9a-f]{16}$/.test(spanId) || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+		return null;
+	}
+	return `00-${traceId}-${spanId}-${(traceFlags & 0xff).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * OpenTelemetry spans for the events the client sends and receives.
+ * Relies on `@opentelemetry/api`, which is only loaded once tracing is enabled.
+ */
+class Tracing {
+	#api;
+	#tracer;
+
+	/**
+	 * @param {Object} [opts] tracing options
+	 * @param {Object} [opts.api] OpenTelemetry API, `require('@opentelemetry/api')` if not set
+	 * @param {Object} [opts.tracer] tracer creating the spans, a tracer named after the package if not set
+	 */
+	constructor({ api, tracer } = {}) {
+		this.#api = api || require('@opentelemetry/api');
+		this.#tracer = tracer || this.#api.trace.getTracer('appc-pubsub', version);
+	}
+
+	/**
+	 * Start a span
+	 * @param {String} name span name
+	 * @param {Object} opts span options
+	 * @param {String} opts.kind `producer` or `consumer`
+	 * @param {Object} [opts.attributes] span attributes
+	 * @param {String} [opts.traceparent] `traceparent` header of the remote parent
+	 * @returns {Object} the span
+	 */
+	startSpan(name, { kind, attributes, traceparent }) {
+		const { context, trace, SpanKind } = this.#api;
+		const parent = parseTraceparent(traceparent);
+		const ctx = parent ? trace.setSpanContext(context.active(), { ...parent, isRemote: true }) : context.active();
+		return this.#tracer.startSpan(name, {
+			kind: kind === 'consumer' ? SpanKind.CONSUMER : SpanKind.PRODUCER,
+			attributes: { 'messaging.system': 'appc-pubsub', ...attributes }
+		}, ctx);
+	}
+
+	/**
+	 * Add the `traceparent` header of a span to outgoing request headers
+	 * @param {Object} span span the request belongs to
+	 * @param {Object} headers request headers
+	 */
+	inject(span, headers) {
+		const traceparent = formatTraceparent(span.spanContext());
+		if (traceparent) {
+			headers.traceparent = traceparent;
+		}
+	}
+
+	/**
+	 * End a span, marking it as failed if there is an error
+	 * @param {Object} span span to end
+	 * @param {Object} [outcome] how the operation ended
+	 * @param {Error} [outcome.error] error the operation failed with
+	 * @param {Object} [outcome.attributes] attributes to add
+	 */
+	endSpan(span, { error, attributes } = {}) {
+		if (attributes) {
+			Object.entries(attributes)
+				.filter(([ , value ]) => value !== undefined && value !== null)
+				.forEach(([ name, value ]) => span.setAttribute(name, value));
+		}
+		if (error) {
+			span.recordException(error);
+			span.setStatus({ code: this.#api.SpanStatusCode.ERROR, message: error.message });
+		}
+		span.end();
+	}
+}
+
+module.exports = {
+	Tracing,
+	formatTraceparent,
+	parseTraceparent
+};
@@ -0,0 +1,106 @@
+const { createHash, createHmac, timingSafeEqual } = require('crypto');
+
+const DEFAULT = {
+	tolerance: 5 * 60 * 1000,
+	dedupe: {
+		maxEntries: 10000,
+		ttl: 24 * 60 * 60 * 1000
+	}
+};
+
+/**
+ * Compare two strings in constant time.
+ * Both values are hashed first so that neither their contents nor their lengths leak through timing.
+ * @param {String} a first value
+ * @param {String} b second value
+ * @returns {Boolean} true if both values are strings and equal
+ */
+function safeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') {
+		return false;
+	}
+	const digest = value => createHash('sha256').update(value).digest();
+	return timingSafeEqual(digest(a), digest(b)) && a.length === b.length;
+}
+
+/**
+ * Sign a webhook body with the client secret
+ * @param {String} secret client secret
+ * @param {String} body serialized body
+ * @param {String|Number} [timestamp] signature timestamp in ms, signed along with the body when given
+ * @returns {String} hex encoded signature
+ */
+function signWebhook(secret, body, timestamp) {
+	const payload = timestamp === undefined || timestamp === null ? body : `${timestamp}.${body}`;
+	return createHmac('SHA256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Verify the signature of a webhook body
+ * @param {Object} opts verification options
+ * @param {String} opts.secret client secret
+ * @param {String} opts.body serialized body
+ * @param {String} opts.signature signature received in the `x-signature` header
+ * @param {String} [opts.timestamp] timestamp received in the `x-signature-timestamp` header
+ * @param {Number} [opts.tolerance] maximum age of a timestamped signature in ms
+ * @param {Boolean} [opts.requireTimestamp] reject signatures without a timestamp
+ * @returns {Boolean} true if the signature is valid
+ */
+function verifyWebhookSignature({ secret, body, signature, timestamp, tolerance = DEFAULT.tolerance, requireTimestamp = false }) {
+	if (timestamp === undefined || timestamp === null || timestamp === '') {
+		return !requireTimestamp && safeEqual(signature, signWebhook(secret, body));
+	}
+
+	const time = Number(timestamp);
+	if (!Number.isFinite(time) || Math.abs(Date.now() - time) > tolerance) {
+		return false;
+	}
+	return safeEqual(signature, signWebhook(secret, body, timestamp));
+}
+
+/**
+ * In-memory store of recently received webhook event ids, bounded by size and age.
+ *
+ * Custom stores (e.g. shared between instances) must implement the same async interface:
+ * - `add(id)` records an id, resolving true if it was not already recorded
+ * - `delete(id)` forgets an id so a redelivery is accepted again
+ */
+class MemoryDedupeStore {
+	#ids = new Map();
+	#maxEntries;
+	#ttl;
+
+	/**
+	 * @param {Object} [opts] store options
+	 * @param {Number} [opts.maxEntries] maximum number of ids remembered, the oldest are forgotten first
+	 * @param {Number} [opts.ttl] time in ms an id is remembered for
+	 */
+	constructor(opts = {}) {
+		this.#maxEntries = Number(opts.maxEntries) || DEFAULT.dedupe.maxEntries;
+		this.#ttl = Number(opts.ttl) || DEFAULT.dedupe.ttl;
+	}
+
+	async add(id) {
+		const now = Date.now();
+		if (this.#ids.get(id) > now) {
+			return false;
+		}
+		this.#ids.delete(id);
+		this.#ids.set(id, now + this.#ttl);
+		while (this.#ids.size > this.#maxEntries) {
+			this.#ids.delete(this.#ids.keys().next().value);
+		}
+		return true;
+	}
+
+	async delete(id) {
+		this.#ids.delete(id);
+	}
+}
+
+module.exports = {
+	MemoryDedupeStore,
+	safeEqual,
+	signWebhook,
+	verifyWebhookSignature
+};
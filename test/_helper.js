@@ -67,9 +67,27 @@ class MockResponse {
 	}
 }
 
+/**
+ * Replace `global.fetch` for every test of the calling suite, restoring the real one after each test
+ * @param {Function} handler `(url, opts)` resolving with the `Response` of each request
+ * @returns {Function} restores the real `fetch` within a test, e.g. to talk to an emulator
+ */
+function stubFetch(handler) {
+	const originalFetch = global.fetch;
+	const restore = () => {
+		global.fetch = originalFetch;
+	};
+	beforeEach(function () {
+		global.fetch = handler;
+	});
+	afterEach(restore);
+	return restore;
+}
+
 module.exports = {
 	MockConfigClient,
 	MockSendCallbackClient,
 	MockRequest,
-	MockResponse
+	MockResponse,
+	stubFetch
 };
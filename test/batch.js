@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 2,
+	retryPolicy: { baseDelay: 1 },
+	config: {
+		can_publish: true
+	}
+};
+
+describe('batch', function () {
+	let requests;
+	let respond;
+
+	beforeEach(function () {
+		requests = [];
+		// By default accept every event in the batch
+		respond = events => ({ status: 200, body: { results: events.map((e, i) => ({ status: 201, id: `id-${requests.length}-${i}` })) } });
+	});
+
+	stubFetch(async (url, opts) => {
+		const body = JSON.parse(opts.body);
+		requests.push({ url, body });
+		const { status, body: resp } = respond(body.events || [ body ]);
+		return new Response(resp ? JSON.stringify(resp) : null, { status });
+	});
+
+	it('should publish several events in a single request', async function () {
+		const pubsub = new MockConfigClient(config);
+
+		const results = await pubsub.publishBatch([
+			{ event: 'com.test.one', data: { a: 1 } },
+			{ event: 'com.test.two', options: { timestamp: 1 } }
+		]);
+		assert.strictEqual(requests.length, 1);
+		assert.ok(requests[0].url.endsWith('/api/event/batch'));
+		assert.deepStrictEqual(requests[0].body.events.map(e => e.event), [ 'com.test.one', 'com.test.two' ]);
+		assert.deepStrictEqual(results.map(r => r.status), [ 'fulfilled', 'fulfilled' ]);
+		assert.strictEqual(results[0].value.id, 'id-1-0');
+		assert.strictEqual(results[1].value.status, 201);
+	});
+
+	it('should report invalid entries without sending them', async function () {
+		const pubsub = new MockConfigClient(config);
+
+		const results = await pubsub.publishBatch([
+			{ event: 'com.test.one' },
+			{ data: {} },
+			{ event: 'com.test.three', data: [] }
+		]);
+		assert.strictEqual(requests[0].body.events.length, 1);
+		assert.strictEqual(results[0].status, 'fulfilled');
+		assert.strictEqual(results[1].status, 'rejected');
+		assert.strictEqual(results[1].reason.message, 'required event name');
+		assert.strictEqual(results[2].reason.message, 'data must be an object');
+	});
+
+	it('should report invalid entries in fire-and-forget mode', async function () {
+		const pubsub = new MockConfigClient({ ...config, fireAndForget: true });
+
+		const results = await pubsub.publishBatch([ { event: 'com.test.one' }, { data: {} } ]);
+		assert.deepStrictEqual(results[0], { status: 'fulfilled', value: undefined });
+		assert.strictEqual(results[1].status, 'rejected');
+		assert.strictEqual(results[1].reason.message, 'required event name');
+		await pubsub.flush();
+		assert.strictEqual(requests[0].body.events.length, 1);
+	});
+
+	it('should only retry the entries that failed', async function () {
+		const pubsub = new MockConfigClient(config);
+		respond = events => ({
+			status: 200,
+			body: {
+				results: events.map(e => ({
+					'com.test.ok': { status: 201 },
+					'com.test.invalid': { status: 400, message: 'invalid event' },
+					'com.test.flaky': { status: requests.length === 1 ? 503 : 201 }
+				}[e.event]))
+			}
+		});
+
+		const results = await pubsub.publishBatch([
+			{ event: 'com.test.ok' },
+			{ event: 'com.test.invalid' },
+			{ event: 'com.test.flaky' }
+		]);
+		assert.strictEqual(requests.length, 2);
+		assert.deepStrictEqual(requests[1].body.events.map(e => e.event), [ 'com.test.flaky' ]);
+		assert.strictEqual(results[0].value.attempts, 1);
+		assert.strictEqual(results[1].reason.code, 'rejected');
+		assert.strictEqual(results[1].reason.message, 'invalid event');
+		assert.strictEqual(results[2].value.attempts, 2);
+	});
+
+	it('should retry the whole batch when the request fails', async function () {
+		const pubsub = new MockConfigClient(config);
+		respond = events => (requests.length === 1 ? { status: 502 } : { status: 200, body: { results: events.map(() => ({ status: 201 })) } });
+
+		const results = await pubsub.publishBatch([ { event: 'com.test.one' }, { event: 'com.test.two' } ]);
+		assert.strictEqual(requests.length, 2);
+		assert.deepStrictEqual(results.map(r => r.value.attempts), [ 2, 2 ]);
+	});
+
+	it('should reject every entry once the retry limit is exceeded', async function () {
+		const pubsub = new MockConfigClient(config);
+		respond = () => ({ status: 500 });
+
+		const results = await pubsub.publishBatch([ { event: 'com.test.one' }, { event: 'com.test.two' } ]);
+		assert.deepStrictEqual(results.map(r => r.reason.code), [ 'retry_limit', 'retry_limit' ]);
+		assert.deepStrictEqual(results.map(r => r.reason.attempts), [ 3, 3 ]);
+	});
+
+	it('should group publishes into micro-batches', async function () {
+		const pubsub = new MockConfigClient({ ...config, batching: { maxSize: 2, maxLinger: 20 } });
+
+		const receipts = await Promise.all([
+			pubsub.publish('com.test.one'),
+			pubsub.publish('com.test.two'),
+			pubsub.publish('com.test.three')
+		]);
+		assert.deepStrictEqual(requests.map(r => r.body.events.length), [ 2, 1 ]);
+		assert.deepStrictEqual(receipts.map(r => r.status), [ 201, 201, 201 ]);
+	});
+
+	it('should send updates on their own while batching', async function () {
+		const pubsub = new MockConfigClient({ ...config, batching: true });
+		respond = () => ({ status: 200 });
+
+		await pubsub.update('event-id', { a: 1 });
+		assert.ok(requests[0].url.endsWith('/api/event/event-id'));
+	});
+
+	it('should reject a batch that is not an array', async function () {
+		const pubsub = new MockConfigClient(config);
+		await assert.rejects(pubsub.publishBatch({}), /entries must be an array/);
+	});
+});
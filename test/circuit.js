@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { CircuitBreaker } = require('../lib/circuit');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	retryPolicy: { baseDelay: 1 },
+	config: {
+		can_publish: true
+	}
+};
+
+describe('circuit breaker', function () {
+	let statuses;
+	let requests;
+
+	beforeEach(function () {
+		statuses = [];
+		requests = 0;
+	});
+
+	stubFetch(async () => {
+		requests++;
+		return new Response(null, { status: statuses.shift() || 200 });
+	});
+
+	it('should open after consecutive failures and close after a successful probe', async function () {
+		const changes = [];
+		const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 20 }, (state, previous) => changes.push(`${previous}>${state}`));
+
+		breaker.failure();
+		assert.strictEqual(breaker.allow(), true);
+		breaker.failure();
+		assert.strictEqual(breaker.state, 'open');
+		assert.strictEqual(breaker.allow(), false);
+		assert.ok(breaker.retryIn() > 0);
+
+		await new Promise(resolve => setTimeout(resolve, 25));
+		assert.strictEqual(breaker.allow(), true);
+		assert.strictEqual(breaker.state, 'half-open');
+		// Only a single probe at a time
+		assert.strictEqual(breaker.allow(), false);
+
+		breaker.success();
+		assert.strictEqual(breaker.state, 'closed');
+		assert.deepStrictEqual(changes, [ 'closed>open', 'open>half-open', 'half-open>closed' ]);
+	});
+
+	it('should open again when the probe fails', async function () {
+		const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 10 });
+		breaker.failure();
+		await new Promise(resolve => setTimeout(resolve, 15));
+		assert.strictEqual(breaker.allow(), true);
+
+		breaker.failure();
+		assert.strictEqual(breaker.state, 'open');
+		assert.strictEqual(breaker.allow(), false);
+	});
+
+	it('should reject an invalid open behavior', function () {
+		assert.throws(() => new CircuitBreaker({ whenOpen: 'drop' }), /Invalid circuit breaker whenOpen/);
+	});
+
+	it('should fail fast while open', async function () {
+		statuses.push(503, 503);
+		const pubsub = new MockConfigClient({ ...config, circuitBreaker: { failureThreshold: 2, cooldown: 60000, whenOpen: 'fail' } });
+		let opened = false;
+		pubsub.on('circuitOpen', () => opened = true);
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit' });
+		assert.ok(opened);
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'circuit_open', attempts: 0 });
+		assert.strictEqual(requests, 2);
+	});
+
+	it('should queue events while open and send them once closed', async function () {
+		statuses.push(500, 500);
+		const pubsub = new MockConfigClient({ ...config, circuitBreaker: { failureThreshold: 2, cooldown: 30 } });
+		const events = [];
+		pubsub.on('circuitOpen', () => events.push('open'));
+		pubsub.on('circuitClosed', () => events.push('closed'));
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit' });
+		const receipt = await pubsub.publish('com.test.event');
+		assert.strictEqual(receipt.status, 200);
+		assert.deepStrictEqual(events, [ 'open', 'closed' ]);
+	});
+
+	it('should not count client errors against the circuit', async function () {
+		statuses.push(400, 400);
+		const pubsub = new MockConfigClient({ ...config, circuitBreaker: { failureThreshold: 1, whenOpen: 'fail' } });
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'rejected' });
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'rejected' });
+	});
+});
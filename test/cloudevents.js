@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert');
+const PubSub = require('../');
+const { MockConfigClient, MockRequest, MockResponse, stubFetch } = require('./_helper');
+
+const { Emulator } = PubSub;
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	cloudEvents: { source: 'https://example.com/orders' },
+	config: {
+		can_publish: true,
+		can_consume: true,
+		auth_type: null,
+		topics: [ 'com.test.*' ]
+	}
+};
+
+describe('cloudevents', function () {
+	let sent;
+
+	beforeEach(function () {
+		sent = [];
+	});
+
+	const restoreFetch = stubFetch(async (url, opts) => {
+		sent.push({ url, opts, body: JSON.parse(opts.body) });
+		return new Response(null, { status: 201 });
+	});
+
+	it('should publish structured-mode CloudEvents', async function () {
+		const client = new MockConfigClient(config);
+
+		await client.publish('com.test.created', { a: 1, password: 'x' }, { timestamp: 1000, subject: 'order-1', tenant: 'acme' });
+		const { url, opts, body } = sent[0];
+		assert.ok(url.endsWith('/api/event'));
+		assert.strictEqual(opts.method, 'POST');
+		assert.strictEqual(opts.headers['content-type'], 'application/cloudevents+json');
+		assert.match(body.id, /^[0-9a-f-]{36}$/);
+		assert.deepStrictEqual({ ...body, id: undefined }, {
+			specversion: '1.0',
+			id: undefined,
+			source: 'https://example.com/orders',
+			type: 'com.test.created',
+			time: '1970-01-01T00:00:01.000Z',
+			subject: 'order-1',
+			tenant: 'acme',
+			datacontenttype: 'application/json',
+			data: { a: 1, password: '[HIDDEN]' }
+		});
+	});
+
+	it('should reject options that are not valid extension attributes', async function () {
+		const client = new MockConfigClient(config);
+		await assert.rejects(client.publish('com.test.created', {}, { 'Bad-Name': 1 }), /Invalid CloudEvents extension attribute: Bad-Name/);
+	});
+
+	it('should keep updates in the PubSub format', async function () {
+		const client = new MockConfigClient(config);
+
+		await client.update('event-id', { a: 1 });
+		assert.ok(sent[0].url.endsWith('/api/event/event-id'));
+		assert.strictEqual(sent[0].opts.method, 'PATCH');
+	});
+
+	it('should receive structured and binary-mode CloudEvents as the same event', async function () {
+		const client = new MockConfigClient(config);
+		const received = [];
+		client.on('event:com.test.*', event => received.push(event));
+		const cloudEvent = {
+			specversion: '1.0',
+			id: 'ce-1',
+			source: 'https://example.com/orders',
+			type: 'com.test.created',
+			time: '2024-01-01T00:00:00.000Z',
+			tenant: 'acme',
+			data: { a: 1 }
+		};
+
+		const structured = new MockRequest(null, { 'content-type': 'application/cloudevents+json; charset=utf-8' });
+		const handled = client.handleWebhook(structured, new MockResponse());
+		structured.emit('data', Buffer.from(JSON.stringify(cloudEvent)));
+		structured.emit('end');
+		await handled;
+
+		const res = new MockResponse();
+		await client.handleWebhook(new MockRequest({ a: 1 }, {
+			'content-type': 'application/json',
+			'ce-specversion': '1.0',
+			'ce-id': 'ce-2',
+			'ce-source': 'https://example.com/orders',
+			'ce-type': 'com.test.created',
+			'ce-time': '2024-01-01T00:00:00.000Z',
+			'ce-tenant': 'acme'
+		}), res);
+		assert.strictEqual(res.code, 200);
+
+		await client.handleWebhook(new MockRequest({ id: 'pubsub-1', topic: 'com.test.created', data: { a: 1 } }), new MockResponse());
+
+		assert.deepStrictEqual(received.map(e => [ e.id, e.topic, e.data.a ]), [ [ 'ce-1', 'com.test.created', 1 ], [ 'ce-2', 'com.test.created', 1 ], [ 'pubsub-1', 'com.test.created', 1 ] ]);
+		[ received[0], received[1] ].forEach(event => {
+			assert.strictEqual(event.event, 'com.test.created');
+			assert.strictEqual(event.timestamp, Date.parse('2024-01-01T00:00:00.000Z'));
+			assert.strictEqual(event.source, 'https://example.com/orders');
+			assert.deepStrictEqual(event.extensions, { tenant: 'acme' });
+		});
+	});
+
+	it('should keep binary-mode attributes that are not percent-encoded', async function () {
+		const client = new MockConfigClient(config);
+		const received = [];
+		client.on('event:com.test.*', event => received.push(event));
+
+		const res = new MockResponse();
+		await client.handleWebhook(new MockRequest({ a: 1 }, {
+			'content-type': 'application/json',
+			'ce-specversion': '1.0',
+			'ce-id': 'ce-1',
+			'ce-source': 'https://example.com/orders',
+			'ce-type': 'com.test.created',
+			'ce-subject': '100%',
+			'ce-tenant': 'caf%C3%A9'
+		}), res);
+		assert.strictEqual(res.code, 200);
+		assert.strictEqual(received[0].subject, '100%');
+		assert.deepStrictEqual(received[0].extensions, { tenant: 'café' });
+	});
+
+	it('should ignore CloudEvents unless enabled', async function () {
+		const client = new MockConfigClient({ ...config, cloudEvents: undefined });
+		const res = new MockResponse();
+		const req = new MockRequest(null, { 'content-type': 'application/cloudevents+json' });
+
+		await client.handleWebhook(req, res);
+		assert.strictEqual(res.code, 400);
+	});
+
+	it('should be accepted by the emulator', async function () {
+		restoreFetch();
+		const emulator = new Emulator({ clients: { key: { secret: 'secret' } } });
+		await emulator.start();
+		const client = new PubSub({ ...config, url: emulator.url, config: undefined });
+		try {
+			const receipt = await client.publish('com.test.created', { a: 1 });
+			assert.strictEqual(receipt.status, 201);
+			assert.strictEqual(emulator.events[0].topic, 'com.test.created');
+			assert.deepStrictEqual(emulator.events[0].data, { a: 1 });
+			assert.strictEqual(emulator.events[0].cloudEvent.source, 'https://example.com/orders');
+		} finally {
+			await client.close();
+			await emulator.close();
+		}
+	});
+});
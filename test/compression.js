@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { MockConfigClient, MockRequest, MockResponse, stubFetch } = require('./_helper');
+const PubSub = require('../');
+
+const { Emulator } = PubSub;
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	retryPolicy: { baseDelay: 1 },
+	webhook: { maxBodySize: 1024 },
+	config: {
+		can_publish: true,
+		can_consume: true,
+		auth_type: 'key_secret',
+		topics: [ 'com.test.*' ]
+	}
+};
+
+describe('compression', function () {
+	describe('requests', function () {
+		let requests;
+
+		beforeEach(function () {
+			requests = [];
+		});
+
+		stubFetch(async (url, opts) => {
+			requests.push(opts);
+			return new Response(null, { status: 200 });
+		});
+
+		it('should compress bodies reaching the threshold and sign the bytes sent', async function () {
+			const pubsub = new MockConfigClient({ ...config, compression: { threshold: 100 } });
+			await pubsub.publish('com.test.small', { a: 1 });
+			await pubsub.publish('com.test.large', { text: 'x'.repeat(200) });
+
+			const [ small, large ] = requests;
+			assert.strictEqual(small.headers['content-encoding'], undefined);
+			assert.strictEqual(typeof small.body, 'string');
+
+			assert.strictEqual(large.headers['content-encoding'], 'gzip');
+			assert.strictEqual(JSON.parse(zlib.gunzipSync(large.body)).data.text, 'x'.repeat(200));
+			assert.strictEqual(large.headers.APISig, crypto.createHmac('SHA256', 'secret').update(large.body).digest('base64'));
+		});
+
+		it('should not compress unless enabled', async function () {
+			const pubsub = new MockConfigClient(config);
+			await pubsub.publish('com.test.large', { text: 'x'.repeat(2000) });
+			assert.strictEqual(requests[0].headers['content-encoding'], undefined);
+		});
+
+		it('should reject unknown encodings', function () {
+			assert.throws(() => new MockConfigClient({ ...config, compression: { encoding: 'zip' } }), /Invalid compression encoding: zip/);
+		});
+	});
+
+	describe('emulator', function () {
+		let emulator;
+		let client;
+
+		beforeEach(async function () {
+			emulator = new Emulator({ clients: { publisher: { secret: 'secret' } } });
+			await emulator.start();
+		});
+
+		afterEach(async function () {
+			await client?.close();
+			await emulator.close();
+		});
+
+		it('should accept compressed events and batches', async function () {
+			client = new PubSub({ url: emulator.url, key: 'publisher', secret: 'secret', compression: { encoding: 'br', threshold: 0 } });
+			await client.ready();
+
+			await client.publish('com.test.event', { a: 1 });
+			await client.publishBatch([ { event: 'com.test.a' }, { event: 'com.test.b' } ]);
+			assert.deepStrictEqual(emulator.events.map(event => event.topic), [ 'com.test.event', 'com.test.a', 'com.test.b' ]);
+			assert.deepStrictEqual(emulator.events[0].data, { a: 1 });
+		});
+	});
+
+	describe('webhooks', function () {
+		const body = { topic: 'com.test.event', data: { text: 'x'.repeat(200) } };
+		const signature = crypto.createHmac('SHA256', 'secret').update(JSON.stringify(body)).digest('hex');
+
+		const receive = async (pubsub, raw, encoding) => {
+			const res = new MockResponse();
+			const req = new MockRequest(null, { 'content-type': 'application/json', 'content-encoding': encoding, 'x-signature': signature });
+			const handled = pubsub.handleWebhook(req, res);
+			req.emit('data', raw);
+			req.emit('end');
+			await handled;
+			return res.code;
+		};
+
+		let pubsub;
+		let received;
+
+		beforeEach(function () {
+			pubsub = new MockConfigClient(config);
+			received = [];
+			pubsub.on('event:com.test.event', event => received.push(event));
+		});
+
+		it('should decompress gzip, brotli and deflate bodies', async function () {
+			const json = JSON.stringify(body);
+			assert.strictEqual(await receive(pubsub, zlib.gzipSync(json), 'gzip'), 200);
+			assert.strictEqual(await receive(pubsub, zlib.brotliCompressSync(json), 'br'), 200);
+			assert.strictEqual(await receive(pubsub, zlib.deflateSync(json), 'Deflate'), 200);
+			assert.strictEqual(await receive(pubsub, zlib.gzipSync(zlib.deflateSync(json)), 'deflate, gzip'), 200);
+			assert.strictEqual(received.length, 4);
+			assert.deepStrictEqual(received[0].data, body.data);
+		});
+
+		it('should cap the decompressed size', async function () {
+			const bomb = zlib.gzipSync(JSON.stringify({ ...body, data: 'x'.repeat(256 * 1024) }));
+			assert.ok(bomb.length < 1024);
+			assert.strictEqual(await receive(pubsub, bomb, 'gzip'), 413);
+			assert.strictEqual(received.length, 0);
+		});
+
+		it('should reject unknown encodings and invalid bodies', async function () {
+			assert.strictEqual(await receive(pubsub, Buffer.from(JSON.stringify(body)), 'compress'), 415);
+			assert.strictEqual(await receive(pubsub, Buffer.from(JSON.stringify(body)), 'gzip'), 400);
+			assert.strictEqual(received.length, 0);
+		});
+	});
+});
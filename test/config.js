@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PubSub = require('../');
+const { MockConfigClient, MockRequest: Request, MockResponse, stubFetch } = require('./_helper');
+
+const opts = {
+	url: 'http://localhost',
+	key: 'mykey',
+	secret: 'secret',
+	configRetry: { retries: 2, baseDelay: 1 }
+};
+const config = {
+	can_consume: true,
+	can_publish: true,
+	auth_type: 'token',
+	auth_token: 'token',
+	events: { 'com.test.event': null }
+};
+
+describe('config', function () {
+	let dir;
+	let responses;
+	let clients;
+
+	const create = (extra) => {
+		const client = new PubSub({ ...opts, ...extra });
+		clients.push(client);
+		return client;
+	};
+
+	beforeEach(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-config-'));
+		responses = [];
+		clients = [];
+	});
+
+	stubFetch(async () => {
+		const next = responses.shift() || { status: 200, body: { key: 'mykey', mykey: config } };
+		if (next instanceof Error) {
+			throw next;
+		}
+		return new Response(JSON.stringify(next.body || 'error'), { status: next.status });
+	});
+
+	afterEach(async function () {
+		await Promise.all(clients.map(client => client.close()));
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('should resolve ready() once configured', async function () {
+		const client = create();
+
+		const loaded = await client.ready();
+		assert.strictEqual(loaded, client._config);
+		assert.deepStrictEqual(loaded.topics, [ 'com.test.event' ]);
+	});
+
+	it('should retry fetching the config at startup', async function () {
+		responses.push({ status: 503 }, new TypeError('fetch failed'));
+		const client = create();
+		const errors = [];
+		client.on('configError', (err, attempt) => errors.push(attempt));
+
+		await client.ready();
+		assert.deepStrictEqual(errors, [ 1, 2 ]);
+		assert.strictEqual(client._config.auth_type, 'token');
+	});
+
+	it('should reject ready() once the startup retries are exhausted', async function () {
+		responses.push({ status: 500 }, { status: 500 }, { status: 500 });
+		const client = create();
+
+		await assert.rejects(client.ready(), /Failed to fetch config/);
+		assert.strictEqual(client._config, null);
+	});
+
+	it('should fall back to the last known good config', async function () {
+		const configCache = path.join(dir, 'config.json');
+		await create({ configCache }).ready();
+		assert.strictEqual((fs.statSync(configCache).mode & 0o777).toString(8), '600');
+
+		responses.push({ status: 500 }, { status: 500 }, { status: 500 });
+		const client = create({ configCache });
+		const loaded = await client.ready();
+		assert.strictEqual(loaded.auth_token, 'token');
+
+		const res = new MockResponse();
+		const authed = await client.authenticateWebhook(new Request({}, { 'x-auth-token': 'token' }), res);
+		assert.ok(authed);
+	});
+
+	it('should answer webhooks with 503 before the config is loaded', async function () {
+		const client = new MockConfigClient({ ...opts, config: null });
+		const res = new MockResponse();
+
+		const authed = await client.authenticateWebhook(new Request({}, {}), res);
+		assert.strictEqual(authed, false);
+		assert.strictEqual(res.code, 503);
+	});
+
+	it('should report reconfiguration failures', async function () {
+		const client = create({ reconfigureTimeout: 10 });
+		await client.ready();
+
+		responses.push({ status: 500 });
+		const [ err, attempt ] = await new Promise(resolve => client.once('configError', (...args) => resolve(args)));
+		assert.match(err.message, /Failed to fetch config/);
+		assert.strictEqual(attempt, undefined);
+	});
+	it('should emit the differences on reconfiguration', async function () {
+		const client = create();
+		await client.ready();
+
+		responses.push({
+			status: 200,
+			body: {
+				key: 'mykey',
+				mykey: { ...config, can_publish: false, auth_type: 'key_secret', auth_token: undefined, events: { 'com.test.other': null } }
+			}
+		});
+		const changed = new Promise(resolve => client.once('configChanged', (...args) => resolve(args)));
+		await client._fetchConfig();
+
+		const [ diff, next, previous ] = await changed;
+		assert.deepStrictEqual(diff.topics, { added: [ 'com.test.other' ], removed: [ 'com.test.event' ] });
+		assert.deepStrictEqual(diff.auth, { type: { from: 'token', to: 'key_secret' }, credentialsChanged: true });
+		assert.deepStrictEqual(diff.capabilities, { can_publish: { from: true, to: false } });
+		assert.strictEqual(next, client._config);
+		assert.strictEqual(previous.auth_type, 'token');
+	});
+
+	it('should not emit when nothing changed', async function () {
+		const client = create();
+		await client.ready();
+		client.on('configChanged', () => assert.fail('configChanged should not have been emitted'));
+
+		await client._fetchConfig();
+	});
+
+	it('should reject publishing locally in strict mode once publishing is revoked', async function () {
+		const client = new MockConfigClient({ ...opts, strict: true, config: { can_publish: false } });
+
+		await assert.rejects(client.publish('com.test.event'), { name: 'PubSubError', code: 'publish_disabled' });
+		await assert.rejects(client.update('id'), { code: 'publish_disabled' });
+	});
+});
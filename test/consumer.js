@@ -0,0 +1,231 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PubSub = require('../');
+const { Consumer } = require('../lib/consumer');
+
+const { Emulator } = PubSub;
+
+describe('consumer', function () {
+	let emulator;
+	let publisher;
+	let clients;
+
+	const create = (opts) => {
+		const client = new PubSub({ url: emulator.url, key: 'consumer', secret: 'secret', ...opts });
+		clients.push(client);
+		return client;
+	};
+
+	beforeEach(async function () {
+		clients = [];
+		emulator = new Emulator({
+			visibilityTimeout: 20,
+			clients: {
+				publisher: { secret: 'secret' },
+				consumer: { secret: 'secret', can_consume: true, topics: [ 'com.test.*' ] }
+			}
+		});
+		await emulator.start();
+		publisher = create({ key: 'publisher' });
+	});
+
+	afterEach(async function () {
+		await Promise.all(clients.map(client => client.close()));
+		await emulator.close();
+	});
+
+	it('should pull events and acknowledge them once handled', async function () {
+		const client = create();
+		await publisher.publish('com.test.one', { a: 1 });
+		await publisher.publish('com.other.event');
+		await publisher.publish('com.test.two');
+
+		const received = [];
+		const done = new Promise(resolve => client.on('event:com.test.*', event => {
+			received.push(event);
+			received.length === 2 && resolve();
+		}));
+		const consumer = client.consume({ pollInterval: 10 });
+		await done;
+		await consumer.stop();
+
+		assert.deepStrictEqual(received.map(e => e.topic), [ 'com.test.one', 'com.test.two' ]);
+		assert.deepStrictEqual(received[0].data, { a: 1 });
+		assert.strictEqual(consumer.state, 'stopped');
+
+		// Acknowledged events are not pulled again
+		const again = client.consume({ pollInterval: 10 });
+		client.on('event:com.test.*', () => assert.fail('event should have been acknowledged'));
+		await new Promise(resolve => setTimeout(resolve, 50));
+		await again.stop();
+	});
+
+	it('should long poll for new events', async function () {
+		const client = create();
+		const received = new Promise(resolve => client.on('event:com.test.one', resolve));
+		const consumer = client.consume({ wait: 5000, pollInterval: 5000 });
+
+		await new Promise(resolve => setTimeout(resolve, 20));
+		await publisher.publish('com.test.one');
+		assert.strictEqual((await received).topic, 'com.test.one');
+		await consumer.stop();
+	});
+
+	it('should redeliver events whose handlers failed', async function () {
+		const client = create();
+		const errors = [];
+		let attempts = 0;
+		client.on('error', err => errors.push(err));
+		const handled = new Promise(resolve => client.on('event:com.test.one', () => {
+			if (++attempts === 1) {
+				throw new Error('boom');
+			}
+			resolve();
+		}));
+
+		await publisher.publish('com.test.one');
+		const consumer = client.consume({ pollInterval: 10 });
+		await handled;
+		await consumer.stop();
+		assert.strictEqual(attempts, 2);
+		assert.strictEqual(errors[0].code, 'handler_failed');
+	});
+
+	it('should resume from the checkpoint', async function () {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-consumer-'));
+		const checkpoint = { path: path.join(dir, 'cursor.json') };
+		try {
+			await publisher.publish('com.test.one');
+			const client = create();
+			const first = new Promise(resolve => client.once('event:com.test.one', resolve));
+			let consumer = client.consume({ checkpoint, pollInterval: 10 });
+			await first;
+			await consumer.stop();
+			const cursor = consumer.cursor;
+			assert.ok(cursor);
+			assert.strictEqual(JSON.parse(fs.readFileSync(checkpoint.path, 'utf8')).cursor, cursor);
+
+			await publisher.publish('com.test.two');
+			const next = new Promise(resolve => client.on('event:com.test.*', resolve));
+			consumer = client.consume({ checkpoint, pollInterval: 10 });
+			assert.strictEqual((await next).topic, 'com.test.two');
+			await consumer.stop();
+			assert.notStrictEqual(consumer.cursor, cursor);
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	it('should pause and resume', async function () {
+		const client = create();
+		const received = [];
+		client.on('event:com.test.*', event => received.push(event.topic));
+		const consumer = client.consume({ pollInterval: 10 });
+
+		consumer.pause();
+		await new Promise(resolve => setTimeout(resolve, 20));
+		await publisher.publish('com.test.one');
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.strictEqual(consumer.state, 'paused');
+		assert.deepStrictEqual(received, []);
+
+		const resumed = new Promise(resolve => client.once('event:com.test.one', resolve));
+		consumer.resume();
+		await resumed;
+		await consumer.stop();
+	});
+
+	it('should report pull failures and keep consuming', async function () {
+		const client = create();
+		const errors = [];
+		client.on('error', err => errors.push(err));
+		emulator.fail({ route: 'pull', status: 503 });
+
+		await publisher.publish('com.test.one');
+		const received = new Promise(resolve => client.on('event:com.test.one', resolve));
+		const consumer = client.consume({ pollInterval: 10 });
+		await received;
+		assert.strictEqual(errors[0].code, 'pull_failed');
+		await consumer.stop();
+	});
+
+	it('should keep consuming past an event that fails to be handled', async function () {
+		const errors = [];
+		const acked = [];
+		let pulls = 0;
+		const consumer = new Consumer({ pollInterval: 10 }, {
+			pull: async () => (++pulls === 1 ? { events: [ null, { id: 'b' } ] } : { events: [] }),
+			ack: async ids => acked.push(...ids),
+			handle: async event => {
+				if (!event) {
+					throw new TypeError('malformed event');
+				}
+			},
+			onError: err => errors.push(err)
+		});
+
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.strictEqual(consumer.state, 'running');
+		assert.ok(pulls > 1);
+		assert.deepStrictEqual(acked, [ 'b' ]);
+		assert.strictEqual(errors[0].message, 'malformed event');
+		await consumer.stop();
+	});
+
+	it('should leave events unacknowledged when the dedupe store fails', async function () {
+		let failing = true;
+		const client = create({ webhook: { dedupe: { store: {
+			add: async () => {
+				if (failing) {
+					failing = false;
+					throw new Error('store down');
+				}
+				return true;
+			},
+			delete: async () => {}
+		} } } });
+		const errors = [];
+		client.on('error', err => errors.push(err));
+		await publisher.publish('com.test.one');
+
+		const received = new Promise(resolve => client.on('event:com.test.one', resolve));
+		const consumer = client.consume({ pollInterval: 10 });
+		await received;
+		assert.strictEqual(errors[0].message, 'store down');
+		assert.strictEqual(consumer.state, 'running');
+		await consumer.stop();
+	});
+
+	it('should stop consuming when the client is closed', async function () {
+		const client = create();
+		const consumer = client.consume({ wait: 5000 });
+		await new Promise(resolve => setTimeout(resolve, 20));
+
+		await client.close();
+		assert.strictEqual(consumer.state, 'stopped');
+	});
+
+	it('should run the consume middleware on pulled events', async function () {
+		const client = create();
+		await publisher.publish('com.test.noisy');
+		await publisher.publish('com.test.one', { a: 1 });
+
+		client.useConsume(ctx => {
+			if (ctx.event.topic === 'com.test.noisy') {
+				return false;
+			}
+			ctx.event.data.source = ctx.source;
+		});
+		const received = new Promise(resolve => client.on('event:com.test.*', resolve));
+		const consumer = client.consume({ pollInterval: 10 });
+		const event = await received;
+		await consumer.stop();
+
+		assert.strictEqual(event.topic, 'com.test.one');
+		assert.deepStrictEqual(event.data, { a: 1, source: 'pull' });
+	});
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { FileStore, MemoryStore } = require('../');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 2,
+	retryPolicy: { baseDelay: 1 },
+	config: {
+		can_publish: true
+	}
+};
+
+describe('dead letters', function () {
+	let dir;
+	let requests;
+	let status;
+
+	beforeEach(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-deadletter-'));
+		requests = [];
+		status = 400;
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push(JSON.parse(opts.body));
+		return new Response(status === 400 ? 'invalid event' : null, { status });
+	});
+
+	afterEach(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('should capture rejected events with their error', async function () {
+		const pubsub = new MockConfigClient({ ...config, deadLetter: true });
+		const deadLetters = [];
+		pubsub.on('deadLetter', (entry, err) => deadLetters.push([ entry.id, err.code ]));
+
+		await assert.rejects(pubsub.publish('com.test.event', { foo: 'bar' }), { code: 'rejected' });
+		const [ entry ] = await pubsub.listDeadLetters();
+		assert.deepStrictEqual(deadLetters, [ [ entry.id, 'rejected' ] ]);
+		assert.strictEqual(entry.topic, 'com.test.event');
+		assert.deepStrictEqual(entry.data.data, { foo: 'bar' });
+		assert.deepStrictEqual(entry.error, { message: 'invalid event', code: 'rejected', status: 400 });
+		assert.strictEqual(entry.attempts, 1);
+		assert.deepStrictEqual(entry.history.map(h => h.status), [ 400 ]);
+		assert.deepStrictEqual(await pubsub.getDeadLetter(entry.id), entry);
+	});
+
+	it('should keep the attempt history of events exceeding the retry limit', async function () {
+		status = 500;
+		const pubsub = new MockConfigClient({ ...config, deadLetter: true });
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit' });
+		const [ entry ] = await pubsub.listDeadLetters({ code: 'retry_limit' });
+		assert.strictEqual(entry.error.status, 500);
+		assert.strictEqual(entry.attempts, 3);
+		assert.deepStrictEqual(entry.history.map(h => h.code), [ 'server_error', 'server_error', 'server_error' ]);
+	});
+
+	it('should capture rejected entries of a batch', async function () {
+		global.fetch = async (url, opts) => {
+			const { events } = JSON.parse(opts.body);
+			return new Response(JSON.stringify({ results: events.map((e, i) => ({ status: i ? 400 : 201, id: 'x' })) }), { status: 200 });
+		};
+		const pubsub = new MockConfigClient({ ...config, deadLetter: true });
+
+		await pubsub.publishBatch([ { event: 'com.test.ok' }, { event: 'com.test.bad' } ]);
+		assert.deepStrictEqual((await pubsub.listDeadLetters()).map(entry => entry.topic), [ 'com.test.bad' ]);
+	});
+
+	it('should replay an event, removing it once accepted', async function () {
+		const pubsub = new MockConfigClient({ ...config, deadLetter: true });
+		await assert.rejects(pubsub.publish('com.test.event'));
+		const [ { id } ] = await pubsub.listDeadLetters();
+
+		// Failing again updates the entry
+		await assert.rejects(pubsub.replayDeadLetter(id), { code: 'rejected' });
+		const entry = await pubsub.getDeadLetter(id);
+		assert.strictEqual(entry.replays, 1);
+		assert.strictEqual(entry.attempts, 2);
+		assert.strictEqual(entry.history.length, 2);
+
+		status = 201;
+		const receipt = await pubsub.replayDeadLetter(id);
+		assert.strictEqual(receipt.status, 201);
+		assert.strictEqual(await pubsub.getDeadLetter(id), null);
+		assert.strictEqual(requests.length, 3);
+		await assert.rejects(pubsub.replayDeadLetter(id), { code: 'not_found' });
+	});
+
+	it('should purge entries matching a filter', async function () {
+		const pubsub = new MockConfigClient({ ...config, deadLetter: { store: new MemoryStore() } });
+		await assert.rejects(pubsub.publish('com.test.a'));
+		await assert.rejects(pubsub.publish('com.test.b'));
+		await assert.rejects(pubsub.publish('com.test.b'));
+
+		assert.strictEqual(await pubsub.purgeDeadLetters({ topic: 'com.test.b' }), 2);
+		assert.deepStrictEqual((await pubsub.listDeadLetters()).map(entry => entry.topic), [ 'com.test.a' ]);
+		assert.strictEqual(await pubsub.purgeDeadLetters(), 1);
+		assert.deepStrictEqual(await pubsub.listDeadLetters(), []);
+	});
+
+	it('should persist entries to a file and drop the oldest past maxEntries', async function () {
+		const file = path.join(dir, 'dead.journal');
+		const pubsub = new MockConfigClient({ ...config, deadLetter: { path: file, maxEntries: 2 } });
+		await assert.rejects(pubsub.publish('com.test.a'));
+		await assert.rejects(pubsub.publish('com.test.b'));
+		await assert.rejects(pubsub.publish('com.test.c'));
+
+		const restarted = new MockConfigClient({ ...config, deadLetter: { path: file } });
+		assert.deepStrictEqual((await restarted.listDeadLetters()).map(entry => entry.topic), [ 'com.test.b', 'com.test.c' ]);
+		assert.strictEqual((await new FileStore(file).load()).length, 2);
+	});
+
+	it('should take dead-lettered events out of the outbox', async function () {
+		status = 500;
+		const outbox = new MemoryStore();
+		const pubsub = new MockConfigClient({ ...config, outbox: { store: outbox }, deadLetter: true });
+
+		await assert.rejects(pubsub.publish('com.test.event'));
+		assert.deepStrictEqual(await outbox.load(), []);
+		assert.strictEqual((await pubsub.listDeadLetters()).length, 1);
+	});
+
+	it('should require the dead-letter store to be enabled', async function () {
+		const pubsub = new MockConfigClient(config);
+		await assert.rejects(pubsub.publish('com.test.event'));
+		await assert.rejects(pubsub.listDeadLetters(), { code: 'dead_letter_disabled' });
+	});
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { DeliveryError } = require('../');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	config: {
+		can_publish: true
+	}
+};
+
+describe('delivery', function () {
+	let responses;
+	let requests;
+
+	beforeEach(function () {
+		requests = [];
+		responses = [];
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push({ url, opts });
+		const next = responses.shift();
+		if (next instanceof Error) {
+			throw next;
+		}
+		return new Response(next.body === undefined ? null : JSON.stringify(next.body), { status: next.status });
+	});
+
+	it('should resolve with a receipt once the event is accepted', async function () {
+		responses.push({ status: 200, body: { id: 'server-id' } });
+		const pubsub = new MockConfigClient(config);
+
+		const receipt = await pubsub.publish('com.test.event', { foo: 'bar' });
+		assert.strictEqual(receipt.id, 'server-id');
+		assert.strictEqual(receipt.status, 200);
+		assert.strictEqual(receipt.attempts, 1);
+		assert.strictEqual(typeof receipt.latency, 'number');
+		assert.strictEqual(requests[0].opts.method, 'POST');
+	});
+
+	it('should resolve after a retry succeeds', async function () {
+		responses.push({ status: 500 }, { status: 201 });
+		const pubsub = new MockConfigClient(config);
+		let retried = 0;
+		pubsub.on('retry', () => retried++);
+
+		const receipt = await pubsub.publish('com.test.event');
+		assert.strictEqual(receipt.attempts, 2);
+		assert.strictEqual(receipt.status, 201);
+		assert.strictEqual(retried, 1);
+	});
+
+	it('should reject when the event is rejected', async function () {
+		responses.push({ status: 400, body: 'bad event' });
+		const pubsub = new MockConfigClient(config);
+
+		await assert.rejects(pubsub.publish('com.test.event'), err => {
+			assert.ok(err instanceof DeliveryError);
+			assert.strictEqual(err.code, 'rejected');
+			assert.strictEqual(err.status, 400);
+			assert.strictEqual(err.attempts, 1);
+			return true;
+		});
+	});
+
+	it('should reject an update for an unknown event', async function () {
+		responses.push({ status: 404 });
+		const pubsub = new MockConfigClient(config);
+		let notfound = false;
+		pubsub.on('notfound', () => notfound = true);
+
+		await assert.rejects(pubsub.update('missing'), { code: 'notfound', status: 404 });
+		assert.ok(notfound);
+		assert.ok(requests[0].url.endsWith('/api/event/missing'));
+		assert.strictEqual(requests[0].opts.method, 'PATCH');
+	});
+
+	it('should reject once the retry limit is exceeded', async function () {
+		responses.push({ status: 500 }, { status: 502 });
+		const pubsub = new MockConfigClient(config);
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit', status: 502, attempts: 2 });
+	});
+
+	it('should not wait for the outcome in fire-and-forget mode', async function () {
+		responses.push({ status: 400 });
+		const pubsub = new MockConfigClient({ ...config, fireAndForget: true });
+
+		const result = await pubsub.publish('com.test.event');
+		assert.strictEqual(result, undefined);
+	});
+});
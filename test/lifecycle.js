@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	config: {
+		can_publish: true
+	}
+};
+
+describe('lifecycle', function () {
+	let statuses;
+
+	beforeEach(function () {
+		statuses = [];
+	});
+
+	stubFetch(async (url, opts) => {
+		const status = statuses.shift() || 200;
+		if (status === 'hang') {
+			return new Promise((resolve, reject) => {
+				opts.signal.addEventListener('abort', () => reject(opts.signal.reason));
+			});
+		}
+		return new Response(null, { status });
+	});
+
+	it('should flush pending sends including retries', async function () {
+		statuses.push(500, 200);
+		const pubsub = new MockConfigClient(config);
+		let receipt;
+		pubsub.publish('com.test.event').then(r => receipt = r);
+
+		assert.strictEqual(await pubsub.flush(), true);
+		assert.strictEqual(receipt.attempts, 2);
+	});
+
+	it('should stop waiting when the flush timeout is reached', async function () {
+		statuses.push(500, 200);
+		const pubsub = new MockConfigClient(config);
+		const delivery = pubsub.publish('com.test.event');
+
+		assert.strictEqual(await pubsub.flush(50), false);
+		await pubsub.close();
+		await assert.rejects(delivery, { code: 'closed' });
+	});
+
+	it('should cancel scheduled retries on close', async function () {
+		statuses.push(503);
+		const pubsub = new MockConfigClient(config);
+		const delivery = pubsub.publish('com.test.event');
+		await new Promise(resolve => pubsub.once('retry', resolve));
+
+		await pubsub.close();
+		await assert.rejects(delivery, { name: 'DeliveryError', code: 'closed', attempts: 1 });
+	});
+
+	it('should finish retries on close when requested', async function () {
+		statuses.push(503, 200);
+		const pubsub = new MockConfigClient(config);
+		const delivery = pubsub.publish('com.test.event');
+
+		await pubsub.close({ finishRetries: true });
+		assert.strictEqual((await delivery).attempts, 2);
+	});
+
+	it('should abort requests in flight on close', async function () {
+		statuses.push('hang');
+		const pubsub = new MockConfigClient(config);
+		const delivery = pubsub.publish('com.test.event');
+		await new Promise(setImmediate);
+
+		await pubsub.close();
+		await assert.rejects(delivery, { code: 'closed' });
+	});
+
+	it('should reject publishing once closed', async function () {
+		const pubsub = new MockConfigClient(config);
+		let closed = false;
+		pubsub.on('closed', () => closed = true);
+		await pubsub.close();
+
+		assert.ok(closed);
+		await assert.rejects(pubsub.publish('com.test.event'), { name: 'PubSubError', code: 'closed' });
+		await assert.rejects(pubsub.update('id'), { code: 'closed' });
+	});
+
+	it('should stop reconfiguring on close', async function () {
+		const pubsub = new MockConfigClient({ ...config, reconfigureTimeout: 10 });
+		let fetches = 0;
+		pubsub._fetchConfig = async () => fetches++;
+		await pubsub.close();
+
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.strictEqual(fetches, 0);
+	});
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { RateLimiter } = require('../lib/limiter');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	config: {
+		can_publish: true
+	}
+};
+
+describe('rate limit', function () {
+	let inFlight;
+	let maxInFlight;
+
+	beforeEach(function () {
+		inFlight = 0;
+		maxInFlight = 0;
+	});
+
+	stubFetch(async () => {
+		inFlight++;
+		maxInFlight = Math.max(maxInFlight, inFlight);
+		await new Promise(resolve => setTimeout(resolve, 5));
+		inFlight--;
+		return new Response(null, { status: 200 });
+	});
+
+	it('should throttle requests with a token bucket', async function () {
+		const limiter = new RateLimiter({ rate: 100, burst: 2 });
+		const started = Date.now();
+		const times = [];
+
+		await Promise.all([ 1, 2, 3, 4 ].map(async () => {
+			const release = await limiter.acquire();
+			times.push(Date.now() - started);
+			release();
+		}));
+		// The burst goes straight through, the rest waits for a token every 10ms
+		assert.ok(times[1] < 10);
+		assert.ok(times[3] >= 15);
+	});
+
+	it('should cap the number of requests in flight', async function () {
+		const pubsub = new MockConfigClient({ ...config, rateLimit: { maxInFlight: 2 } });
+
+		await Promise.all([ 1, 2, 3, 4, 5 ].map(() => pubsub.publish('com.test.event')));
+		assert.strictEqual(maxInFlight, 2);
+	});
+
+	it('should reject publishing when the queue is full', async function () {
+		const pubsub = new MockConfigClient({ ...config, rateLimit: { maxInFlight: 1, maxQueue: 1, whenFull: 'reject' } });
+		let saturated = false;
+		pubsub.on('saturated', () => saturated = true);
+
+		const first = pubsub.publish('com.test.event');
+		const second = pubsub.publish('com.test.event');
+		await new Promise(setImmediate);
+
+		assert.ok(saturated);
+		await assert.rejects(pubsub.publish('com.test.event'), { name: 'PubSubError', code: 'queue_full' });
+		await Promise.all([ first, second ]);
+	});
+
+	it('should bound the queue when publishing a burst at once', async function () {
+		const pubsub = new MockConfigClient({ ...config, rateLimit: { maxInFlight: 1, maxQueue: 5, whenFull: 'reject' } });
+
+		const results = await Promise.allSettled(Array.from({ length: 50 }, () => pubsub.publish('com.test.event')));
+		const rejected = results.filter(result => result.status === 'rejected');
+		// One request in flight and five waiting
+		assert.strictEqual(results.length - rejected.length, 6);
+		assert.ok(rejected.every(result => result.reason.code === 'queue_full'));
+
+		const batch = [ pubsub.publishBatch([ { event: 'com.test.a' }, { event: 'com.test.b' } ]), pubsub.publish('com.test.event') ];
+		assert.strictEqual((await Promise.allSettled(batch)).filter(result => result.status === 'rejected').length, 0);
+	});
+
+	it('should let waiting callers in one at a time', async function () {
+		const limiter = new RateLimiter({ maxInFlight: 1, maxQueue: 1 });
+		const first = limiter.reserve();
+		const second = limiter.reserve();
+		assert.strictEqual(limiter.reserve(), null);
+
+		const admitted = [];
+		const waiting = [ 1, 2, 3 ].map(n => limiter.waitForRoom().then(reservation => admitted.push(n) && reservation));
+		const release = await limiter.acquire(first);
+		const queued = limiter.acquire(second);
+		release();
+		await new Promise(setImmediate);
+		assert.deepStrictEqual(admitted, [ 1 ]);
+
+		(await queued)();
+		await new Promise(setImmediate);
+		assert.deepStrictEqual(admitted, [ 1, 2 ]);
+		limiter.release();
+		await Promise.all(waiting);
+	});
+
+	it('should wait for room when the queue is full', async function () {
+		const pubsub = new MockConfigClient({ ...config, rateLimit: { maxInFlight: 1, maxQueue: 1 } });
+		const events = [];
+		pubsub.on('saturated', () => events.push('saturated'));
+		pubsub.on('drain', () => events.push('drain'));
+
+		const deliveries = [ 1, 2, 3 ].map(() => pubsub.publish('com.test.event'));
+		await new Promise(setImmediate);
+		assert.strictEqual(inFlight, 1);
+
+		const receipts = await Promise.all(deliveries);
+		assert.strictEqual(receipts.length, 3);
+		assert.strictEqual(maxInFlight, 1);
+		assert.strictEqual(events[0], 'saturated');
+		assert.strictEqual(events[events.length - 1], 'drain');
+	});
+
+	it('should reject an invalid full behavior', function () {
+		assert.throws(() => new RateLimiter({ whenFull: 'drop' }), /Invalid rate limit whenFull/);
+	});
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { MockConfigClient, MockRequest, MockResponse, stubFetch } = require('./_helper');
+const PubSub = require('../');
+const { Metrics } = require('../lib/metrics');
+const { formatTraceparent, parseTraceparent } = require('../lib/tracing');
+
+const { toPrometheus } = PubSub;
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	retryPolicy: { baseDelay: 1 },
+	config: {
+		can_publish: true,
+		can_consume: true,
+		auth_type: 'key_secret',
+		topics: [ 'com.test.*' ]
+	}
+};
+
+const TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+/**
+ * Minimal stand-in for `@opentelemetry/api`, recording the spans started
+ */
+function fakeApi() {
+	const spans = [];
+	let next = 0;
+	const api = {
+		spans,
+		SpanKind: { PRODUCER: 3, CONSUMER: 4 },
+		SpanStatusCode: { ERROR: 2 },
+		context: { active: () => ({}) },
+		trace: {
+			setSpanContext: (ctx, parent) => ({ ...ctx, parent }),
+			getTracer: () => ({
+				startSpan(name, opts, ctx) {
+					const spanId = String(++next).padStart(16, '0');
+					const span = {
+						name,
+						kind: opts.kind,
+						parent: ctx.parent,
+						attributes: { ...opts.attributes },
+						exceptions: [],
+						spanContext: () => ({ traceId: ctx.parent?.traceId || 'a'.repeat(32), spanId, traceFlags: 1 }),
+						setAttribute: (key, value) => span.attributes[key] = value,
+						recordException: err => span.exceptions.push(err),
+						setStatus: status => span.status = status,
+						end: () => span.ended = true
+					};
+					spans.push(span);
+					return span;
+				}
+			})
+		}
+	};
+	return api;
+}
+
+describe('metrics', function () {
+	let requests;
+	let status;
+
+	const counter = (snapshot, name, labels = {}) => snapshot.counters[name]?.find(series => Object.entries(labels).every(([ key, value ]) => series.labels[key] === value))?.value;
+
+	beforeEach(function () {
+		requests = [];
+		status = 200;
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push(opts);
+		return new Response(null, { status });
+	});
+
+	it('should count published, retried and failed events', async function () {
+		const pubsub = new MockConfigClient(config);
+		await pubsub.publish('com.test.event');
+		status = 500;
+		await assert.rejects(pubsub.publish('com.test.event'));
+		status = 400;
+		await assert.rejects(pubsub.publish('com.test.event'));
+
+		const snapshot = pubsub.metrics();
+		assert.strictEqual(counter(snapshot, 'events_published_total'), 1);
+		assert.strictEqual(counter(snapshot, 'events_failed_total', { code: 'retry_limit', status: 500 }), 1);
+		assert.strictEqual(counter(snapshot, 'events_failed_total', { code: 'rejected', status: 400 }), 1);
+		assert.strictEqual(counter(snapshot, 'retries_total', { code: 'server_error' }), 1);
+		assert.strictEqual(counter(snapshot, 'requests_total', { endpoint: 'event', status: 500 }), 2);
+		assert.strictEqual(snapshot.histograms.send_duration_seconds[0].count, 1);
+		assert.strictEqual(snapshot.histograms.request_duration_seconds[0].count, 4);
+	});
+
+	it('should count config fetches', async function () {
+		global.fetch = async () => new Response(JSON.stringify({ key: 'abc', abc: { can_publish: true } }), { status: 200 });
+		const pubsub = new MockConfigClient({ ...config, key: 'abc' });
+		// MockConfigClient skips fetching, use the real implementation
+		await PubSub.prototype._fetchConfig.call(pubsub);
+		global.fetch = async () => new Response('down', { status: 500 });
+		await assert.rejects(PubSub.prototype._fetchConfig.call(pubsub));
+
+		const snapshot = pubsub.metrics();
+		assert.strictEqual(counter(snapshot, 'config_fetches_total', { result: 'success' }), 1);
+		assert.strictEqual(counter(snapshot, 'config_fetches_total', { result: 'failure' }), 1);
+	});
+
+	it('should count received and rejected webhooks by auth type', async function () {
+		const pubsub = new MockConfigClient(config);
+		const body = { topic: 'com.test.event' };
+		const sign = secret => crypto.createHmac('SHA256', secret).update(JSON.stringify(body)).digest('hex');
+
+		await pubsub.handleWebhook(new MockRequest(body, { 'x-signature': sign('secret') }), new MockResponse());
+		await pubsub.handleWebhook(new MockRequest(body, { 'x-signature': sign('wrong') }), new MockResponse());
+
+		const snapshot = pubsub.metrics();
+		assert.strictEqual(counter(snapshot, 'webhooks_received_total', { auth_type: 'key_secret' }), 1);
+		assert.strictEqual(counter(snapshot, 'webhooks_rejected_total', { auth_type: 'key_secret', reason: 'unauthorized' }), 1);
+	});
+
+	it('should format a snapshot for Prometheus', function () {
+		const metrics = new Metrics({ buckets: [ 0.1, 1 ] });
+		metrics.increment('requests_total', { endpoint: 'event', status: 200 });
+		metrics.increment('requests_total', { status: 200, endpoint: 'event' });
+		metrics.increment('events_failed_total', { code: 'say "hi"' });
+		metrics.observe('send_duration_seconds', {}, 0.05);
+		metrics.observe('send_duration_seconds', {}, 0.5);
+
+		assert.strictEqual(toPrometheus(metrics.snapshot(), { labels: { service: 'orders' } }), [
+			'# TYPE pubsub_requests_total counter',
+			'pubsub_requests_total{service="orders",endpoint="event",status="200"} 2',
+			'# TYPE pubsub_events_failed_total counter',
+			'pubsub_events_failed_total{service="orders",code="say \\"hi\\""} 1',
+			'# TYPE pubsub_send_duration_seconds histogram',
+			'pubsub_send_duration_seconds_bucket{service="orders",le="0.1"} 1',
+			'pubsub_send_duration_seconds_bucket{service="orders",le="1"} 2',
+			'pubsub_send_duration_seconds_bucket{service="orders",le="+Inf"} 2',
+			'pubsub_send_duration_seconds_sum{service="orders"} 0.55',
+			'pubsub_send_duration_seconds_count{service="orders"} 2',
+			''
+		].join('\n'));
+		assert.strictEqual(toPrometheus(new Metrics().snapshot()), '');
+	});
+});
+
+describe('tracing', function () {
+	let requests;
+	let status;
+
+	beforeEach(function () {
+		requests = [];
+		status = 200;
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push(opts);
+		return new Response(null, { status });
+	});
+
+	it('should parse and format traceparent headers', function () {
+		assert.deepStrictEqual(parseTraceparent(TRACEPARENT), { traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331', traceFlags: 1 });
+		assert.strictEqual(formatTraceparent(parseTraceparent(TRACEPARENT)), TRACEPARENT);
+		assert.strictEqual(parseTraceparent(`00-${'0'.repeat(32)}-b7ad6b7169203331-01`), null);
+		assert.strictEqual(parseTraceparent(`ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01`), null);
+		assert.strictEqual(parseTraceparent('nonsense'), null);
+		assert.strictEqual(formatTraceparent({ traceId: '0'.repeat(32), spanId: 'b7ad6b7169203331' }), null);
+	});
+
+	it('should trace sends and propagate the traceparent', async function () {
+		const api = fakeApi();
+		const pubsub = new MockConfigClient({ ...config, tracing: { api } });
+		await pubsub.publish('com.test.event');
+		status = 400;
+		await assert.rejects(pubsub.publish('com.test.other'));
+
+		const [ sent, failed ] = api.spans;
+		assert.strictEqual(sent.name, 'publish com.test.event');
+		assert.strictEqual(sent.kind, api.SpanKind.PRODUCER);
+		assert.strictEqual(sent.attributes['messaging.destination.name'], 'com.test.event');
+		assert.strictEqual(sent.attributes['http.response.status_code'], 200);
+		assert.strictEqual(sent.ended, true);
+		assert.strictEqual(requests[0].headers.traceparent, formatTraceparent(sent.spanContext()));
+
+		assert.strictEqual(failed.status.code, api.SpanStatusCode.ERROR);
+		assert.strictEqual(failed.exceptions[0].code, 'rejected');
+	});
+
+	it('should trace webhooks as children of the incoming traceparent', async function () {
+		const api = fakeApi();
+		const pubsub = new MockConfigClient({ ...config, config: { ...config.config, auth_type: null }, tracing: { api } });
+
+		await pubsub.handleWebhook(new MockRequest({ topic: 'com.test.event' }, { traceparent: TRACEPARENT }), new MockResponse());
+		const [ span ] = api.spans;
+		assert.strictEqual(span.kind, api.SpanKind.CONSUMER);
+		assert.deepStrictEqual(span.parent, { ...parseTraceparent(TRACEPARENT), isRemote: true });
+		assert.strictEqual(span.attributes['messaging.destination.name'], 'com.test.event');
+		assert.strictEqual(span.attributes['http.response.status_code'], 200);
+		assert.strictEqual(span.status, undefined);
+		assert.strictEqual(span.ended, true);
+	});
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, MockRequest, MockResponse, stubFetch } = require('./_helper');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	retryPolicy: { baseDelay: 1 },
+	config: {
+		can_publish: true,
+		can_consume: true,
+		topics: [ 'com.test.*' ]
+	}
+};
+
+describe('middleware', function () {
+	let requests;
+
+	beforeEach(function () {
+		requests = [];
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push({ url, headers: opts.headers, body: JSON.parse(opts.body) });
+		return new Response(null, { status: 200 });
+	});
+
+	describe('publish', function () {
+		it('should modify events and add headers before they are redacted and sent', async function () {
+			const pubsub = new MockConfigClient(config);
+			const calls = [];
+			pubsub
+				.usePublish(ctx => {
+					calls.push('first');
+					ctx.data = { ...ctx.data, tenant: 'acme', password: 'secret' };
+					ctx.headers['x-tenant'] = 'acme';
+				})
+				.usePublish(async ctx => {
+					calls.push('second');
+					ctx.event = `${ctx.event}.v2`;
+					// The signature headers can't be replaced
+					ctx.headers.apisig = 'forged';
+				});
+
+			const data = { id: 1 };
+			await pubsub.publish('com.test.event', data);
+			assert.deepStrictEqual(calls, [ 'first', 'second' ]);
+			assert.deepStrictEqual(data, { id: 1 });
+
+			const [ { body, headers } ] = requests;
+			assert.strictEqual(body.event, 'com.test.event.v2');
+			assert.deepStrictEqual(body.data, { id: 1, tenant: 'acme', password: '[HIDDEN]' });
+			assert.strictEqual(headers['x-tenant'], 'acme');
+			assert.strictEqual(headers.apisig, undefined);
+			assert.notStrictEqual(headers.APISig, 'forged');
+		});
+
+		it('should skip or reject events', async function () {
+			const pubsub = new MockConfigClient(config);
+			pubsub.usePublish(ctx => {
+				if (ctx.event === 'com.test.noisy') {
+					return false;
+				}
+				if (ctx.event === 'com.test.forbidden') {
+					throw new Error('forbidden');
+				}
+			});
+
+			assert.strictEqual(await pubsub.publish('com.test.noisy'), null);
+			await assert.rejects(pubsub.publish('com.test.forbidden'), /forbidden/);
+			const results = await pubsub.publishBatch([ { event: 'com.test.noisy' }, { event: 'com.test.forbidden' }, { event: 'com.test.ok' } ]);
+			assert.deepStrictEqual(results.map(result => result.status), [ 'fulfilled', 'rejected', 'fulfilled' ]);
+			assert.strictEqual(results[0].value, null);
+			assert.deepStrictEqual(requests.map(request => request.body.events.map(event => event.event)), [ [ 'com.test.ok' ] ]);
+		});
+
+		it('should run on updates and send batches with the headers of their events', async function () {
+			const pubsub = new MockConfigClient(config);
+			pubsub.usePublish(ctx => {
+				ctx.headers['x-source'] = ctx.id ? 'update' : 'publish';
+			});
+
+			await pubsub.update('abc', { foo: 'bar' });
+			await pubsub.publishBatch([ { event: 'com.test.a' }, { event: 'com.test.b' } ]);
+			assert.strictEqual(requests[0].url, 'http://localhost/api/event/abc');
+			assert.strictEqual(requests[0].headers['x-source'], 'update');
+			assert.strictEqual(requests[1].headers['x-source'], 'publish');
+		});
+
+		it('should send events with different headers in separate batch requests', async function () {
+			const pubsub = new MockConfigClient({ ...config, batching: true });
+			pubsub.usePublish(ctx => {
+				ctx.headers['x-tenant'] = ctx.data.tenant;
+			});
+
+			const receipts = await Promise.all([ 'a', 'b', 'a' ].map(tenant => pubsub.publish('com.test.event', { tenant })));
+			assert.strictEqual(receipts.length, 3);
+			const sent = requests.map(({ headers, body }) => [ headers['x-tenant'], body.events.map(event => event.data.tenant) ]);
+			assert.deepStrictEqual(sent.sort(), [ [ 'a', [ 'a', 'a' ] ], [ 'b', [ 'b' ] ] ]);
+		});
+
+		it('should require a function', function () {
+			const pubsub = new MockConfigClient(config);
+			assert.throws(() => pubsub.usePublish('nope'), /must be a function/);
+			assert.throws(() => pubsub.useConsume(), /must be a function/);
+		});
+	});
+
+	describe('consume', function () {
+		const receive = async (pubsub, body, headers) => {
+			const res = new MockResponse();
+			await pubsub.handleWebhook(new MockRequest(body, headers), res);
+			return res.code;
+		};
+
+		it('should transform and filter received events', async function () {
+			const pubsub = new MockConfigClient(config);
+			const received = [];
+			pubsub.on('event:com.test.*', event => received.push(event));
+			pubsub.useConsume(ctx => {
+				if (ctx.event.topic === 'com.test.noisy') {
+					return false;
+				}
+				ctx.event = { ...ctx.event, tenant: ctx.headers['x-tenant'], source: ctx.source };
+			});
+
+			assert.strictEqual(await receive(pubsub, { topic: 'com.test.noisy' }), 200);
+			assert.strictEqual(await receive(pubsub, { topic: 'com.test.event' }, { 'x-tenant': 'acme' }), 200);
+			assert.deepStrictEqual(received, [ { topic: 'com.test.event', tenant: 'acme', source: 'webhook' } ]);
+		});
+
+		it('should fail the webhook when a middleware throws, so it is delivered again', async function () {
+			const pubsub = new MockConfigClient({ ...config, webhook: { dedupe: true } });
+			const errors = [];
+			const received = [];
+			pubsub.on('error', err => errors.push(err));
+			pubsub.on('event:com.test.event', event => received.push(event.id));
+			let fail = true;
+			pubsub.useConsume(() => {
+				if (fail) {
+					throw new Error('boom');
+				}
+			});
+
+			assert.strictEqual(await receive(pubsub, { id: 1, topic: 'com.test.event' }), 500);
+			assert.strictEqual(errors[0].code, 'middleware_failed');
+			assert.strictEqual(errors[0].cause.message, 'boom');
+
+			// Not remembered as a duplicate
+			fail = false;
+			assert.strictEqual(await receive(pubsub, { id: 1, topic: 'com.test.event' }), 200);
+			assert.deepStrictEqual(received, [ 1 ]);
+		});
+	});
+});
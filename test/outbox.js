@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { FileStore, MemoryStore } = require('../');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 1,
+	config: {
+		can_publish: true
+	}
+};
+
+describe('outbox', function () {
+	let dir;
+	let journal;
+	let requests;
+	let status;
+
+	beforeEach(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-outbox-'));
+		journal = path.join(dir, 'outbox.journal');
+		requests = [];
+		status = 200;
+	});
+
+	stubFetch(async (url, opts) => {
+		requests.push(JSON.parse(opts.body));
+		return new Response(null, { status });
+	});
+
+	afterEach(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('should persist events before sending and remove them once accepted', async function () {
+		let persisted;
+		global.fetch = async (url, opts) => {
+			persisted = await new FileStore(journal).load();
+			requests.push(JSON.parse(opts.body));
+			return new Response(null, { status: 200 });
+		};
+		const pubsub = new MockConfigClient({ ...config, outbox: { path: journal } });
+
+		await pubsub.publish('com.test.event', { foo: 'bar' });
+		assert.strictEqual(persisted.length, 1);
+		assert.strictEqual(persisted[0].data.event, 'com.test.event');
+		assert.deepStrictEqual(await new FileStore(journal).load(), []);
+	});
+
+	it('should replay pending events on construction', async function () {
+		const store = new FileStore(journal);
+		await store.load();
+		await store.add({ id: 'pending-1', data: { event: 'com.test.pending', data: {}, options: {} }, createdAt: Date.now() });
+
+		const pubsub = new MockConfigClient({ ...config, outbox: { path: journal } });
+		await new Promise(resolve => pubsub.once('response', () => setImmediate(resolve)));
+
+		assert.strictEqual(requests[0].event, 'com.test.pending');
+		assert.deepStrictEqual(await new FileStore(journal).load(), []);
+	});
+
+	it('should keep events the server failed to accept', async function () {
+		status = 503;
+		const store = new MemoryStore();
+		const pubsub = new MockConfigClient({ ...config, outbox: { store } });
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit' });
+		const entries = await store.load();
+		assert.strictEqual(entries.length, 1);
+		assert.strictEqual(entries[0].data.event, 'com.test.event');
+	});
+
+	it('should drop events the server rejects', async function () {
+		status = 400;
+		const store = new MemoryStore();
+		const pubsub = new MockConfigClient({ ...config, outbox: { store } });
+		const dropped = [];
+		pubsub.on('outboxDropped', (entry, reason) => dropped.push(reason));
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'rejected' });
+		assert.deepStrictEqual(await store.load(), []);
+		assert.deepStrictEqual(dropped, [ 'rejected' ]);
+	});
+
+	it('should drop entries exceeding the size and age limits', async function () {
+		const store = new MemoryStore();
+		await store.add({ id: 'old', data: { event: 'com.test.old' }, createdAt: Date.now() - 60000 });
+		status = 503;
+		const dropped = [];
+		const pubsub = new MockConfigClient({ ...config, outbox: { store, maxEntries: 1, maxAge: 30000 } });
+		pubsub.on('outboxDropped', (entry, reason) => dropped.push(reason));
+
+		await Promise.all([
+			assert.rejects(pubsub.publish('com.test.first')),
+			assert.rejects(pubsub.publish('com.test.second'))
+		]);
+		assert.deepStrictEqual(dropped, [ 'age', 'size' ]);
+		const entries = await store.load();
+		assert.deepStrictEqual(entries.map(entry => entry.data.event), [ 'com.test.second' ]);
+	});
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert');
+const { fastifyHandler, fetchHandler, koaMiddleware } = require('../');
+const { MockConfigClient, MockRequest, MockResponse } = require('./_helper');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	webhook: { maxBodySize: 64 },
+	config: {
+		can_consume: true,
+		auth_type: 'token',
+		auth_token: 'token',
+		topics: [ 'com.test.event' ]
+	}
+};
+
+describe('receiver', function () {
+	let client;
+	let received;
+
+	beforeEach(function () {
+		client = new MockConfigClient(config);
+		received = [];
+		client.on('event:com.test.event', event => received.push(event));
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	describe('listen', function () {
+		let base;
+
+		beforeEach(async function () {
+			const server = await client.listen({ host: '127.0.0.1', path: '/webhook' });
+			base = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		const post = (body, headers = {}) => fetch(`${base}/webhook`, {
+			method: 'POST',
+			headers: { 'content-type': 'application/json; charset=utf-8', 'x-auth-token': 'token', ...headers },
+			body
+		});
+
+		it('should receive webhooks', async function () {
+			const res = await post(JSON.stringify({ topic: 'com.test.event', data: { name: 'café' } }));
+			assert.strictEqual(res.status, 200);
+			assert.deepStrictEqual(await res.json(), { success: true });
+			assert.strictEqual(received[0].data.name, 'café');
+		});
+
+		it('should authenticate webhooks', async function () {
+			const res = await post(JSON.stringify({ topic: 'com.test.event' }), { 'x-auth-token': 'wrong' });
+			assert.strictEqual(res.status, 401);
+			assert.strictEqual(received.length, 0);
+		});
+
+		it('should reject bodies larger than the limit', async function () {
+			const res = await post(JSON.stringify({ topic: 'com.test.event', data: 'x'.repeat(64) }));
+			assert.strictEqual(res.status, 413);
+			assert.strictEqual(received.length, 0);
+		});
+
+		it('should reject other content types', async function () {
+			const res = await post('topic=com.test.event', { 'content-type': 'application/x-www-form-urlencoded' });
+			assert.strictEqual(res.status, 400);
+		});
+
+		it('should answer health checks', async function () {
+			let res = await fetch(`${base}/health`);
+			assert.strictEqual(res.status, 200);
+			assert.deepStrictEqual(await res.json(), { status: 'ok' });
+
+			client._config = null;
+			res = await fetch(`${base}/health`);
+			assert.strictEqual(res.status, 503);
+		});
+
+		it('should answer unknown routes and methods', async function () {
+			assert.strictEqual((await fetch(`${base}/other`, { method: 'POST' })).status, 404);
+			const res = await fetch(`${base}/webhook`);
+			assert.strictEqual(res.status, 405);
+			assert.strictEqual(res.headers.get('allow'), 'POST');
+		});
+
+		it('should stop receiving once the client is closed', async function () {
+			await client.close();
+			await assert.rejects(fetch(`${base}/health`), /fetch failed/);
+		});
+	});
+
+	it('should count the bytes received rather than trust content-length', async function () {
+		const res = new MockResponse();
+		const req = new MockRequest(null, { 'content-type': 'application/json', 'content-length': '2', 'x-auth-token': 'token' });
+
+		const handled = client.handleWebhook(req, res);
+		req.emit('data', Buffer.from(JSON.stringify({ topic: 'com.test.event', data: 'x'.repeat(64) })));
+		await handled;
+		assert.strictEqual(res.code, 413);
+		assert.strictEqual(received.length, 0);
+	});
+
+	it('should handle Web-standard requests', async function () {
+		const handler = fetchHandler(client);
+
+		const res = await handler(new Request('http://localhost/webhook', {
+			method: 'POST',
+			headers: { 'content-type': 'application/json', 'x-auth-token': 'token' },
+			body: JSON.stringify({ topic: 'com.test.event' })
+		}));
+		assert.ok(res instanceof Response);
+		assert.strictEqual(res.status, 200);
+		assert.strictEqual(res.headers.get('content-type'), 'application/json');
+		assert.deepStrictEqual(await res.json(), { success: true });
+		assert.strictEqual(received.length, 1);
+	});
+
+	it('should handle Koa requests', async function () {
+		const headers = {};
+		const ctx = {
+			req: { headers: { 'x-auth-token': 'token' } },
+			request: { body: { topic: 'com.test.event' } },
+			set: values => Object.assign(headers, values)
+		};
+
+		await koaMiddleware(client)(ctx);
+		assert.strictEqual(ctx.status, 200);
+		assert.strictEqual(headers['content-type'], 'application/json');
+		assert.strictEqual(ctx.body, '{"success":true}');
+		assert.strictEqual(received.length, 1);
+	});
+
+	it('should handle Fastify requests', async function () {
+		const reply = {
+			code(status) {
+				this.status = status;
+				return this;
+			},
+			headers(values) {
+				this.headerValues = values;
+				return this;
+			},
+			send(body) {
+				this.body = body;
+				return this;
+			}
+		};
+
+		await fastifyHandler(client)({ raw: { headers: { 'x-auth-token': 'wrong' } }, body: { topic: 'com.test.event' } }, reply);
+		assert.strictEqual(reply.status, 401);
+		assert.strictEqual(JSON.parse(reply.body).message, 'Unauthorized.');
+		assert.strictEqual(received.length, 0);
+	});
+});
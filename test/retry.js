@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, stubFetch } = require('./_helper');
+const { RetryPolicy, parseRetryAfter } = require('../lib/retry');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	retryLimit: 2,
+	config: {
+		can_publish: true
+	}
+};
+
+describe('retry', function () {
+	let responses;
+
+	beforeEach(function () {
+		responses = [];
+	});
+
+	stubFetch(async () => {
+		const next = responses.shift() || { status: 200 };
+		if (next instanceof Error) {
+			throw next;
+		}
+		return new Response(null, next);
+	});
+
+	describe('policy', function () {
+		it('should back off exponentially up to the max delay', function () {
+			const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+			assert.deepStrictEqual([ 1, 2, 3, 4, 5 ].map(attempt => policy.delay(attempt)), [ 100, 300, 700, 1000, 1000 ]);
+		});
+
+		it('should keep the default backoff', function () {
+			const policy = new RetryPolicy();
+			assert.deepStrictEqual([ 1, 2, 3 ].map(attempt => policy.delay(attempt)), [ 500, 1500, 3500 ]);
+		});
+
+		it('should apply full jitter within the backoff', function () {
+			const policy = new RetryPolicy({ baseDelay: 100, jitter: 'full' });
+			for (let attempt = 1; attempt < 10; attempt++) {
+				const delay = policy.delay(attempt);
+				assert.ok(delay >= 0 && delay <= Math.min(60000, (Math.pow(2, attempt) - 1) * 100));
+			}
+		});
+
+		it('should apply decorrelated jitter based on the previous delay', function () {
+			const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 2000, jitter: 'decorrelated' });
+			let delay;
+			for (let attempt = 1; attempt < 10; attempt++) {
+				const previous = delay;
+				delay = policy.delay(attempt, previous);
+				assert.ok(delay >= 100 && delay <= Math.min(2000, (previous || 100) * 3));
+			}
+		});
+
+		it('should prefer the delay requested by the server', function () {
+			assert.strictEqual(new RetryPolicy().delay(5, undefined, 2000), 2000);
+		});
+
+		it('should cap the delay requested by the server', function () {
+			assert.strictEqual(new RetryPolicy({ maxDelay: 5000 }).delay(1, undefined, 86400000), 5000);
+			assert.strictEqual(new RetryPolicy({ maxDelay: 5000, maxRetryAfter: 120000 }).delay(1, undefined, 86400000), 120000);
+			assert.strictEqual(new RetryPolicy({ maxRetryAfter: 0 }).delay(1, undefined, 3000), 0);
+		});
+
+		it('should reject an unknown jitter', function () {
+			assert.throws(() => new RetryPolicy({ jitter: 'random' }), /Invalid retry jitter/);
+		});
+
+		it('should only retry the configured statuses', function () {
+			const policy = new RetryPolicy({ retryableStatuses: [ 503 ] });
+			assert.strictEqual(policy.shouldRetry({ code: 'server_error', status: 503 }, 1), true);
+			assert.strictEqual(policy.shouldRetry({ code: 'server_error', status: 500 }, 1), false);
+			assert.strictEqual(policy.shouldRetry({ code: 'rejected', status: 400 }, 1), false);
+		});
+
+		it('should parse Retry-After headers', function () {
+			assert.strictEqual(parseRetryAfter('3'), 3000);
+			assert.strictEqual(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+			assert.strictEqual(parseRetryAfter('soon'), undefined);
+			assert.strictEqual(parseRetryAfter(null), undefined);
+		});
+	});
+
+	it('should honor Retry-After on 429 responses', async function () {
+		responses.push({ status: 429, headers: { 'retry-after': '0' } });
+		const pubsub = new MockConfigClient(config);
+		const decisions = [];
+		pubsub.on('retry', (status, opts, attempts, decision) => decisions.push(decision));
+
+		const receipt = await pubsub.publish('com.test.event');
+		assert.strictEqual(receipt.attempts, 2);
+		assert.strictEqual(decisions.length, 1);
+		assert.strictEqual(decisions[0].retry, true);
+		assert.strictEqual(decisions[0].delay, 0);
+		assert.strictEqual(decisions[0].error.status, 429);
+	});
+
+	it('should retry network errors', async function () {
+		responses.push(new TypeError('fetch failed'));
+		const pubsub = new MockConfigClient({ ...config, retryPolicy: { baseDelay: 1 } });
+
+		const receipt = await pubsub.publish('com.test.event');
+		assert.strictEqual(receipt.attempts, 2);
+	});
+
+	it('should not retry network errors when disabled', async function () {
+		responses.push(new TypeError('fetch failed'));
+		const pubsub = new MockConfigClient({ ...config, retryPolicy: { retryNetworkErrors: false } });
+		const decisions = [];
+		pubsub.on('retry', (status, opts, attempts, decision) => decisions.push(decision));
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'request_failed' });
+		assert.strictEqual(decisions[0].retry, false);
+		assert.strictEqual(decisions[0].delay, null);
+	});
+
+	it('should let a custom hook decide', async function () {
+		responses.push({ status: 400 }, { status: 500 });
+		const calls = [];
+		const pubsub = new MockConfigClient({
+			...config,
+			retryPolicy: {
+				baseDelay: 1,
+				shouldRetry: (err, attempt) => {
+					calls.push([ err.status, attempt ]);
+					return attempt < 2;
+				}
+			}
+		});
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'server_error', status: 500 });
+		assert.deepStrictEqual(calls, [ [ 400, 1 ], [ 500, 2 ] ]);
+	});
+
+	it('should give up once the retry limit is exceeded', async function () {
+		responses.push({ status: 500 }, { status: 500 }, { status: 500 });
+		const pubsub = new MockConfigClient({ ...config, retryPolicy: { baseDelay: 1 } });
+		const decisions = [];
+		pubsub.on('retry', (status, opts, attempts, decision) => decisions.push(decision.retry));
+
+		await assert.rejects(pubsub.publish('com.test.event'), { code: 'retry_limit', attempts: 3 });
+		assert.deepStrictEqual(decisions, [ true, true, false ]);
+	});
+});
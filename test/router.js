@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { WebhookRouter } = require('../');
+const { MockConfigClient, MockRequest, MockResponse } = require('./_helper');
+
+describe('webhook router', function () {
+	let clients;
+	let router;
+
+	const sign = (secret, body) => crypto.createHmac('SHA256', secret).update(JSON.stringify(body)).digest('hex');
+
+	const receive = async (body, headers, url) => {
+		const req = new MockRequest(body, headers);
+		req.url = url;
+		const res = new MockResponse();
+		await router.handleWebhook(req, res);
+		return res.code;
+	};
+
+	beforeEach(function () {
+		clients = {
+			alpha: new MockConfigClient({
+				url: 'http://localhost',
+				key: 'alpha',
+				secret: 'alpha-secret',
+				config: { can_consume: true, auth_type: 'key_secret', topics: [ 'com.alpha.*' ] }
+			}),
+			beta: new MockConfigClient({
+				url: 'http://localhost',
+				key: 'beta',
+				secret: 'beta-secret',
+				config: { can_consume: true, auth_type: 'token', auth_token: 'beta-token', topics: [ 'com.beta.*' ] }
+			}),
+			open: new MockConfigClient({
+				url: 'http://localhost',
+				key: 'open',
+				secret: 'open-secret',
+				config: { can_consume: true, topics: [ 'com.open.*' ] }
+			})
+		};
+		router = new WebhookRouter({ clients: { alpha: clients.alpha, beta: clients.beta } });
+	});
+
+	afterEach(async function () {
+		await Promise.all(Object.values(clients).map(client => client.close()));
+	});
+
+	it('should dispatch to the client whose credentials authenticate the request', async function () {
+		const received = [];
+		clients.alpha.on('event:com.alpha.created', event => received.push([ 'alpha', event.topic ]));
+		clients.beta.on('event:com.beta.created', event => received.push([ 'beta', event.topic ]));
+
+		const body = { topic: 'com.alpha.created' };
+		assert.strictEqual(await receive(body, { 'x-signature': sign('alpha-secret', body) }), 200);
+		assert.strictEqual(await receive({ topic: 'com.beta.created' }, { 'x-auth-token': 'beta-token' }), 200);
+		assert.deepStrictEqual(received, [ [ 'alpha', 'com.alpha.created' ], [ 'beta', 'com.beta.created' ] ]);
+	});
+
+	it('should answer 401 when no tenant authenticates the request', async function () {
+		const unrouted = [];
+		router.on('unrouted', req => unrouted.push(req));
+		const body = { topic: 'com.alpha.created' };
+
+		assert.strictEqual(await receive(body, { 'x-signature': sign('other-secret', body) }), 401);
+		assert.strictEqual(unrouted.length, 1);
+		assert.strictEqual(router.metrics().unrouted, 1);
+	});
+
+	it('should pick the tenant from the path or a header', async function () {
+		router = new WebhookRouter({ clients: { alpha: clients.alpha, open: clients.open }, header: 'X-Tenant' });
+		const received = [];
+		clients.open.on('event:com.open.created', event => received.push(event.topic));
+
+		// The open tenant accepts any request, it only receives the ones routed to it
+		const body = { topic: 'com.open.created' };
+		assert.strictEqual(await receive(body, {}, '/webhooks/open?x=1'), 200);
+		assert.strictEqual(await receive(body, { 'x-tenant': 'open' }), 200);
+		assert.strictEqual(await receive(body, { 'x-tenant': 'alpha' }), 401);
+		assert.strictEqual(await receive(body, { 'x-tenant': 'unknown' }), 404);
+		assert.deepStrictEqual(received, [ 'com.open.created', 'com.open.created' ]);
+
+		const { tenants } = router.metrics();
+		assert.strictEqual(tenants.open.received, 2);
+		assert.strictEqual(tenants.alpha.unauthorized, 1);
+	});
+
+	it('should use the resolve option before the other strategies', async function () {
+		router = new WebhookRouter({ clients, resolve: req => req.headers['x-product'] === 'b' && 'beta' });
+
+		assert.strictEqual(await receive({ topic: 'com.beta.created' }, { 'x-product': 'b', 'x-auth-token': 'beta-token' }, '/open'), 200);
+		assert.strictEqual(router.metrics().tenants.beta.received, 1);
+		assert.strictEqual(router.metrics().tenants.open.received, 0);
+	});
+
+	it('should keep metrics and report errors per tenant', async function () {
+		clients.beta = new MockConfigClient({
+			url: 'http://localhost',
+			key: 'beta',
+			secret: 'beta-secret',
+			webhook: { awaitHandlers: true },
+			config: { can_consume: true, auth_type: 'token', auth_token: 'beta-token', topics: [ 'com.beta.*' ] }
+		});
+		router.remove('beta');
+		router.add('beta', clients.beta);
+		clients.beta.on('event:com.beta.created', () => {
+			throw new Error('boom');
+		});
+		const errors = [];
+		router.on('error', (err, tenant) => errors.push([ tenant, err.code ]));
+
+		const headers = { 'x-auth-token': 'beta-token' };
+		assert.strictEqual(await receive({ topic: 'com.beta.created' }, headers), 500);
+		assert.strictEqual(await receive({ topic: 'com.beta.other' }, headers), 200);
+		assert.deepStrictEqual(errors, [ [ 'beta', 'handler_failed' ] ]);
+
+		const { tenants } = router.metrics();
+		assert.deepStrictEqual({ ...tenants.beta, lastError: tenants.beta.lastError.code }, {
+			received: 2,
+			accepted: 1,
+			rejected: 0,
+			failed: 1,
+			unauthorized: 0,
+			errors: 1,
+			lastError: 'handler_failed'
+		});
+		assert.strictEqual(tenants.alpha.received, 0);
+	});
+
+	it('should answer 503 while a matching tenant may still be loading its config', async function () {
+		clients.alpha._config = null;
+		const body = { topic: 'com.alpha.created' };
+		assert.strictEqual(await receive(body, { 'x-signature': sign('alpha-secret', body) }), 503);
+	});
+
+	it('should register and unregister tenants', function () {
+		assert.deepStrictEqual(router.tenants, [ 'alpha', 'beta' ]);
+		assert.throws(() => router.add('alpha', clients.open), /already registered/);
+		assert.strictEqual(router.get('beta'), clients.beta);
+		assert.strictEqual(router.remove('beta'), true);
+		assert.strictEqual(router.remove('beta'), false);
+		assert.strictEqual(clients.beta.listenerCount('error'), 0);
+		assert.deepStrictEqual(router.tenants, [ 'alpha' ]);
+	});
+});
@@ -11,7 +11,7 @@ describe('sanitization', function () {
 				password_salt: 'salt'
 			},
 			config = {
-				url: 'url',
+				url: 'http://localhost',
 				key: 'key',
 				secret: 'secret'
 			},
@@ -0,0 +1,197 @@
+'use strict';
+
+const assert = require('assert');
+const PubSub = require('../');
+const { MockConfigClient, MockRequest, MockResponse, stubFetch } = require('./_helper');
+
+const { SchemaRegistry } = PubSub;
+
+const user = {
+	type: 'object',
+	required: [ 'id', 'email' ],
+	additionalProperties: false,
+	properties: {
+		id: { type: 'integer', minimum: 1 },
+		email: { type: 'string', format: 'email' },
+		roles: { type: 'array', items: { $ref: '#/$defs/role' }, uniqueItems: true },
+		address: {
+			type: 'object',
+			properties: { zip: { type: 'string', pattern: '^\\d{5}$' } }
+		}
+	},
+	$defs: {
+		role: { enum: [ 'admin', 'user' ] }
+	}
+};
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	schemas: { 'com.test.user.*': user },
+	config: {
+		can_publish: true,
+		can_consume: true,
+		auth_type: null,
+		topics: [ 'com.test.**' ]
+	}
+};
+
+describe('schema', function () {
+	let sent;
+
+	beforeEach(function () {
+		sent = [];
+	});
+
+	stubFetch(async (url, opts) => {
+		sent.push(JSON.parse(opts.body));
+		return new Response(null, { status: 201 });
+	});
+
+	it('should report every validation error with its path', function () {
+		const registry = new SchemaRegistry({ 'com.test.user.*': user });
+
+		assert.deepStrictEqual(registry.validate('com.test.user.created', { id: 1, email: 'a@example.com', roles: [ 'admin' ] }), []);
+		assert.deepStrictEqual(registry.validate('com.test.other', {}), []);
+
+		const errors = registry.validate('com.test.user.created', {
+			id: 0,
+			roles: [ 'admin', 'root', 'admin' ],
+			address: { zip: 'abc' },
+			name: 'x'
+		});
+		assert.deepStrictEqual(errors.map(e => [ e.path, e.keyword ]), [
+			[ '$.email', 'required' ],
+			[ '$.id', 'minimum' ],
+			[ '$.roles', 'uniqueItems' ],
+			[ '$.roles[1]', 'enum' ],
+			[ '$.address.zip', 'pattern' ],
+			[ '$.name', 'additionalProperties' ]
+		]);
+		assert.strictEqual(errors[0].message, '$.email is required');
+	});
+
+	it('should support combinators and type unions', function () {
+		const registry = new SchemaRegistry({
+			'com.test.value': {
+				type: 'object',
+				properties: {
+					value: { oneOf: [ { type: 'string' }, { type: [ 'number', 'null' ] } ] },
+					flag: { not: { const: false } },
+					count: { anyOf: [ { type: 'integer' }, { type: 'string', maxLength: 2 } ] }
+				}
+			}
+		});
+
+		assert.deepStrictEqual(registry.validate('com.test.value', { value: null, flag: true, count: 'ab' }), []);
+		const errors = registry.validate('com.test.value', { value: true, flag: false, count: 'abc' });
+		assert.deepStrictEqual(errors.map(e => e.keyword), [ 'oneOf', 'not', 'anyOf' ]);
+	});
+
+	it('should reject invalid data locally on publish', async function () {
+		const pubsub = new MockConfigClient(config);
+
+		await assert.rejects(pubsub.publish('com.test.user.created', { id: 'one', email: 'a@example.com' }), err => {
+			assert.strictEqual(err.name, 'ValidationError');
+			assert.strictEqual(err.code, 'invalid_data');
+			assert.strictEqual(err.topic, 'com.test.user.created');
+			assert.strictEqual(err.message, 'Invalid data for com.test.user.created: $.id must be integer');
+			assert.strictEqual(err.errors.length, 1);
+			return true;
+		});
+		assert.strictEqual(sent.length, 0);
+
+		await pubsub.publish('com.test.user.created', { id: 1, email: 'a@example.com' });
+		assert.strictEqual(sent.length, 1);
+	});
+
+	it('should validate before redacting', async function () {
+		const pubsub = new MockConfigClient(config);
+		pubsub.registerSchema('com.test.login', {
+			type: 'object',
+			properties: { password: { type: 'string', minLength: 8 } }
+		});
+
+		await assert.rejects(pubsub.publish('com.test.login', { password: 'short' }), /\$\.password must have at least 8 characters/);
+		await pubsub.publish('com.test.login', { password: 'long enough' });
+		assert.strictEqual(sent[0].data.password, '[HIDDEN]');
+
+		assert.ok(pubsub.unregisterSchema('com.test.login'));
+		await pubsub.publish('com.test.login', { password: 'short' });
+	});
+
+	it('should report invalid batch entries', async function () {
+		const pubsub = new MockConfigClient(config);
+		global.fetch = async (url, opts) => {
+			const { events } = JSON.parse(opts.body);
+			return new Response(JSON.stringify({ results: events.map(() => ({ status: 201 })) }), { status: 200 });
+		};
+
+		const results = await pubsub.publishBatch([
+			{ event: 'com.test.user.created', data: { id: 1, email: 'a@example.com' } },
+			{ event: 'com.test.user.created', data: { id: 1 } }
+		]);
+		assert.strictEqual(results[0].status, 'fulfilled');
+		assert.strictEqual(results[1].reason.code, 'invalid_data');
+	});
+
+	it('should answer invalid webhook events with 400', async function () {
+		const pubsub = new MockConfigClient({ ...config, webhook: { validate: true } });
+		pubsub.on('event:com.test.user.created', () => assert.fail('invalid event should not be emitted'));
+
+		const res = new MockResponse();
+		res.end = body => res.body = body;
+		await pubsub.handleWebhook(new MockRequest({ topic: 'com.test.user.created', data: { id: 1 } }), res);
+		assert.strictEqual(res.code, 400);
+		const body = JSON.parse(res.body);
+		assert.strictEqual(body.success, false);
+		assert.deepStrictEqual(body.errors.map(e => e.path), [ '$.email' ]);
+	});
+
+	it('should emit invalid webhook events when configured to', async function () {
+		const pubsub = new MockConfigClient({ ...config, webhook: { validate: 'emit' } });
+		const invalid = [];
+		const received = [];
+		pubsub.on('invalidEvent', (err, event) => invalid.push([ err, event ]));
+		pubsub.on('event:com.test.user.*', event => received.push(event));
+
+		let res = new MockResponse();
+		await pubsub.handleWebhook(new MockRequest({ id: 'a', topic: 'com.test.user.created', data: {} }), res);
+		assert.strictEqual(res.code, 200);
+		assert.strictEqual(invalid.length, 1);
+		assert.strictEqual(invalid[0][0].code, 'invalid_data');
+		assert.strictEqual(invalid[0][1].id, 'a');
+
+		res = new MockResponse();
+		await pubsub.handleWebhook(new MockRequest({ id: 'b', topic: 'com.test.user.created', data: { id: 2, email: 'b@example.com' } }), res);
+		assert.strictEqual(res.code, 200);
+		assert.deepStrictEqual(received.map(e => e.id), [ 'b' ]);
+	});
+
+	it('should reject invalid schema options', function () {
+		assert.throws(() => new PubSub({ ...config, schemas: { 'com.test': 'nope' } }), /Invalid schema for com.test/);
+		assert.throws(() => new PubSub({ ...config, webhook: { validate: 'drop' } }), /Invalid webhook validate: drop/);
+	});
+
+	it('should check schemas when they are registered', function () {
+		const registry = new SchemaRegistry();
+		assert.throws(() => registry.register('com.test', { properties: { name: { type: 'strng' } } }), /Invalid schema for com.test: #\/properties\/name has an unknown type: strng/);
+		assert.throws(() => registry.register('com.test', { items: { $ref: '#/$defs/missing' } }), /Unresolved schema \$ref: #\/\$defs\/missing/);
+		assert.throws(() => registry.register('com.test', { pattern: '(' }), /invalid pattern/);
+		assert.throws(() => registry.register('com.test', { if: { properties: { a: { const: 1 } } }, then: { required: [ 'b' ] } }), /Invalid schema for com.test: # uses an unsupported keyword: if/);
+		assert.throws(() => registry.register('com.test', { properties: { tags: { type: 'array', contains: { const: 'a' } } } }), /#\/properties\/tags uses an unsupported keyword: contains/);
+		assert.throws(() => registry.register('com.test', { format: 'hostname' }), /unsupported format: hostname/);
+		assert.throws(() => registry.register('com.test', { exclusiveMinimum: true }), /exclusiveMinimum must be a number/);
+		assert.throws(() => registry.register('com.test', { anyOf: {} }), /#\/anyOf must be an array/);
+		assert.throws(() => registry.register('com.test', { $ref: '#' }), /circular \$ref/);
+		assert.throws(() => registry.register('com.test', { $defs: { a: { allOf: [ { $ref: '#/$defs/b' } ] }, b: { not: { $ref: '#/$defs/a' } } } }), /circular \$ref/);
+		assert.strictEqual(registry.size, 0);
+
+		registry.register('com.test.annotated', { $schema: 'http://json-schema.org/draft-07/schema#', title: 'Annotated', description: 'ok', type: 'object' });
+		// Recursion through a nested value is fine
+		registry.register('com.test.tree', { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } });
+		assert.deepStrictEqual(registry.validate('com.test.tree', { children: [ { children: [] } ] }), []);
+		assert.strictEqual(registry.validate('com.test.tree', { children: [ { children: 1 } ] })[0].path, '$.children[0].children');
+	});
+});
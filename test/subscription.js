@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const { MockConfigClient, MockRequest, MockResponse } = require('./_helper');
+
+const config = {
+	url: 'http://localhost',
+	key: 'key',
+	secret: 'secret',
+	config: {
+		can_consume: true,
+		auth_type: null,
+		topics: [ 'com.test.**' ]
+	}
+};
+
+describe('subscription', function () {
+	let client;
+
+	const receive = (topic, body = {}, res = new MockResponse()) => client.handleWebhook(new MockRequest({ topic, ...body }), res).then(() => res);
+
+	beforeEach(function () {
+		client = new MockConfigClient(config);
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	it('should subscribe and unsubscribe by pattern', async function () {
+		const received = [];
+		const subscription = client.subscribe('com.test.*', event => received.push(event.topic));
+
+		await receive('com.test.one');
+		subscription.unsubscribe();
+		subscription.unsubscribe();
+		await receive('com.test.two');
+
+		assert.deepStrictEqual(received, [ 'com.test.one' ]);
+		assert.ok(subscription.closed);
+		assert.strictEqual(client.listenerCount('event:com.test.*'), 0);
+	});
+
+	it('should unsubscribe when disposed', async function () {
+		const received = [];
+		{
+			const subscription = client.subscribe('com.test.one', event => received.push(event));
+			subscription[Symbol.dispose]();
+		}
+		await receive('com.test.one');
+		assert.strictEqual(received.length, 0);
+	});
+
+	it('should iterate over received events', async function () {
+		const iterator = client.events('com.test.*');
+		await receive('com.test.one');
+		await receive('com.other');
+		await receive('com.test.two');
+
+		const topics = [];
+		for await (const event of iterator) {
+			topics.push(event.topic);
+			if (topics.length === 2) {
+				break;
+			}
+		}
+		assert.deepStrictEqual(topics, [ 'com.test.one', 'com.test.two' ]);
+		assert.ok(iterator.ended);
+		assert.strictEqual(client.listenerCount('event:com.test.*'), 0);
+	});
+
+	it('should end the iteration when the signal is aborted', async function () {
+		const controller = new AbortController();
+		const iterator = client.events('com.test.*', { signal: controller.signal });
+
+		const next = iterator.next();
+		controller.abort();
+		assert.deepStrictEqual(await next, { value: undefined, done: true });
+	});
+
+	it('should end the iteration when the client is closed', async function () {
+		const iterator = client.events('com.test.*');
+		const next = iterator.next();
+
+		await client.close();
+		assert.deepStrictEqual(await next, { value: undefined, done: true });
+	});
+
+	it('should hold awaited handlers back beyond the high water mark', async function () {
+		client = new MockConfigClient({ ...config, webhook: { awaitHandlers: true } });
+		const iterator = client.events('com.test.*', { highWaterMark: 1 });
+
+		await receive('com.test.one');
+		let acknowledged = false;
+		const second = receive('com.test.two').then(res => acknowledged = res.code);
+		await new Promise(resolve => setTimeout(resolve, 10));
+		assert.strictEqual(acknowledged, false);
+
+		assert.strictEqual((await iterator.next()).value.topic, 'com.test.one');
+		await second;
+		assert.strictEqual(acknowledged, 200);
+		assert.strictEqual((await iterator.next()).value.topic, 'com.test.two');
+	});
+
+	it('should wait for a matching event', async function () {
+		const waiting = client.waitFor('com.test.*', event => event.data.n === 2, 1000);
+		await receive('com.test.one', { data: { n: 1 } });
+		await receive('com.test.two', { data: { n: 2 } });
+
+		assert.strictEqual((await waiting).topic, 'com.test.two');
+		assert.strictEqual(client.listenerCount('event:com.test.*'), 0);
+	});
+
+	it('should time out waiting for an event', async function () {
+		await assert.rejects(client.waitFor('com.test.one', 10), { name: 'PubSubError', code: 'timeout', message: 'Timed out waiting for com.test.one' });
+		assert.strictEqual(client.listenerCount('event:com.test.one'), 0);
+	});
+});
@@ -2,6 +2,7 @@
 
 const assert = require('assert');
 const { MockConfigClient } = require('./_helper');
+const { matchTopic, topicsOverlap } = require('../lib/topic');
 
 const url = new URL('http://un:pw@axwaylocal.com');
 const events = {
@@ -12,7 +13,7 @@ const events = {
 };
 const topics = Object.keys(events);
 const pubsub = new MockConfigClient({
-	url: 'url',
+	url: 'http://localhost',
 	key: 'key',
 	secret: 'secret',
 	config: {
@@ -39,17 +40,28 @@ describe('validation', function () {
 		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted.**', topics), true);
 	});
 
-	it('should not validate events matching wildcard terminus segment', function () {
-		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.topic.anything'), false);
+	it('should validate events matching wildcard terminus segment', function () {
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.topic.anything'), true);
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.topic.anything', topics), true);
 	});
 
-	it('should not validate events matching wildcard interior segment', function () {
-		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.anything.interior'), false);
+	it('should validate events matching wildcard interior segment', function () {
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.anything.interior'), true);
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.anything.interior', topics), true);
 	});
 
-	it('should not validate events matching double-splatted topic', function () {
-		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted.shortName'), false);
-		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted.a.much.longer.event.name', topics), false);
+	it('should validate events matching double-splatted topic', function () {
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted.shortName'), true);
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted.a.much.longer.event.name', topics), true);
+	});
+
+	it('should not validate the parent of a double-splatted topic', function () {
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.splatted'), false);
+	});
+
+	it('should not validate events missing a wildcard segment', function () {
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.topic'), false);
+		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.interior'), false);
 	});
 
 	it('should not validate unsubscribed event topics', function () {
@@ -65,4 +77,20 @@ describe('validation', function () {
 		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.topic.wildcard.descendant', topics), false);
 		assert.strictEqual(pubsub.hasSubscribedTopic('com.test.wildcard.interior.descendant', topics), false);
 	});
+
+	it('should match patterns against concrete topics', function () {
+		assert.strictEqual(matchTopic('com.*.*', 'com.foo.bar'), true);
+		assert.strictEqual(matchTopic('com.**.bar', 'com.a.b.bar'), true);
+		assert.strictEqual(matchTopic('com.**.bar', 'com.bar'), false);
+		assert.strictEqual(matchTopic('**', 'com.foo'), true);
+		assert.strictEqual(matchTopic('com.*', 'org.foo'), false);
+	});
+
+	it('should detect overlapping patterns', function () {
+		assert.strictEqual(topicsOverlap('com.test.*', 'com.*.interior'), true);
+		assert.strictEqual(topicsOverlap('com.splatted.**', 'com.splatted.*'), true);
+		assert.strictEqual(topicsOverlap('com.**', 'com.test.event'), true);
+		assert.strictEqual(topicsOverlap('com.test.*', 'com.other.*'), false);
+		assert.strictEqual(topicsOverlap('com.*', 'com.*.*'), false);
+	});
 });
@@ -13,7 +13,7 @@ const events = {
 	'com.splatted.**': null
 };
 const config = {
-	url: 'url',
+	url: 'http://localhost',
 	key: 'key',
 	secret: 'secret',
 	config: {
@@ -166,4 +166,192 @@ describe('webhook', function () {
 		});
 		pubsub.handleWebhook(new Request(payload), new Response());
 	});
+	it('should emit wildcard topics to the exact subscription', function (done) {
+		let payload = { topic: 'com.test.topic.created' };
+
+		pubsub.on('event:com.test.topic.*', function (data) {
+			assert.strictEqual(data, payload);
+			done();
+		});
+		pubsub.handleWebhook(new Request(payload), new Response());
+	});
+
+	it('should emit to every matching pattern listener', async function () {
+		let payload = { topic: 'com.splatted.deep.event.name' },
+			received = [];
+
+		pubsub.on('event:com.splatted.**', () => received.push('splat'));
+		pubsub.on('event:com.splatted.*.event.*', () => received.push('interior'));
+		pubsub.on('event:com.splatted.*', () => assert.fail('Listener should not have been called'));
+		await pubsub.handleWebhook(new Request(payload), new Response());
+		assert.deepStrictEqual(received, [ 'splat', 'interior' ]);
+	});
+});
+
+describe('webhook replay protection', function () {
+	const secret = 'secret';
+	const makeClient = (webhook) => new MockConfigClient({
+		...config,
+		webhook,
+		config: { can_consume: true, auth_type: 'key_secret', topics: [ 'com.test.event' ] }
+	});
+	const sign = (body, timestamp) => crypto.createHmac('SHA256', secret)
+		.update(timestamp === undefined ? JSON.stringify(body) : `${timestamp}.${JSON.stringify(body)}`)
+		.digest('hex');
+
+	it('should reject missing basic auth credentials', async function () {
+		const client = new MockConfigClient({ ...config, config: { can_consume: true, auth_type: 'basic', auth_user: 'un', auth_pass: 'pw' } });
+		const res = new Response();
+
+		assert.strictEqual(await client.authenticateWebhook(new Request({}, {}), res), false);
+		assert.ok(res.wasUnauthorized());
+	});
+
+	it('should accept a timestamped signature within the tolerance', async function () {
+		const body = { topic: 'com.test.event' };
+		const timestamp = Date.now() - 1000;
+		const req = new Request(body, { 'x-signature': sign(body, timestamp), 'x-signature-timestamp': String(timestamp) });
+
+		assert.ok(await makeClient({ tolerance: 5000 }).authenticateWebhook(req, new Response()));
+	});
+
+	it('should reject a timestamped signature outside the tolerance', async function () {
+		const body = { topic: 'com.test.event' };
+		const timestamp = Date.now() - 10000;
+		const res = new Response();
+		const req = new Request(body, { 'x-signature': sign(body, timestamp), 'x-signature-timestamp': String(timestamp) });
+
+		assert.strictEqual(await makeClient({ tolerance: 5000 }).authenticateWebhook(req, res), false);
+		assert.ok(res.wasUnauthorized());
+	});
+
+	it('should reject a signature with a tampered timestamp', async function () {
+		const body = { topic: 'com.test.event' };
+		const res = new Response();
+		const req = new Request(body, { 'x-signature': sign(body, Date.now() - 60000), 'x-signature-timestamp': String(Date.now()) });
+
+		assert.strictEqual(await makeClient().authenticateWebhook(req, res), false);
+		assert.ok(res.wasUnauthorized());
+	});
+
+	it('should reject signatures without a timestamp when required', async function () {
+		const body = { topic: 'com.test.event' };
+		const res = new Response();
+		const req = new Request(body, { 'x-signature': sign(body) });
+
+		assert.strictEqual(await makeClient({ requireTimestamp: true }).authenticateWebhook(req, res), false);
+		assert.ok(res.wasUnauthorized());
+	});
+
+	it('should only emit a redelivered event once', async function () {
+		const client = makeClient({ dedupe: true });
+		const body = { id: 'event-1', topic: 'com.test.event' };
+		let received = 0;
+		let duplicates = 0;
+		client.on('event:com.test.event', () => received++);
+		client.on('duplicate', () => duplicates++);
+
+		for (let i = 0; i < 2; i++) {
+			const res = new Response();
+			await client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), res);
+			assert.strictEqual(res.code, 200);
+		}
+		assert.strictEqual(received, 1);
+		assert.strictEqual(duplicates, 1);
+	});
+
+	it('should use a custom dedupe store', async function () {
+		const ids = [];
+		const client = makeClient({ dedupe: { store: { add: async id => !ids.includes(id) && !!ids.push(id), delete: async () => {} } } });
+		const body = { id: 42, topic: 'com.test.event' };
+
+		await client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), new Response());
+		assert.deepStrictEqual(ids, [ '42' ]);
+	});
+
+	it('should emit the redelivery of an event whose listener threw', async function () {
+		const client = makeClient({ dedupe: true });
+		const body = { id: 'event-1', topic: 'com.test.event' };
+		let received = 0;
+		client.on('event:com.test.event', () => {
+			if (++received === 1) {
+				throw new Error('boom');
+			}
+		});
+
+		await assert.rejects(client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), new Response()), /boom/);
+		const res = new Response();
+		await client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), res);
+		assert.strictEqual(res.code, 200);
+		assert.strictEqual(received, 2);
+	});
+
+	it('should not dedupe by default', async function () {
+		const client = makeClient();
+		const body = { id: 'event-1', topic: 'com.test.event' };
+		let received = 0;
+		client.on('event:com.test.event', () => received++);
+
+		await client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), new Response());
+		await client.handleWebhook(new Request(body, { 'x-signature': sign(body) }), new Response());
+		assert.strictEqual(received, 2);
+	});
+});
+
+describe('webhook acknowledgement', function () {
+	const makeClient = (webhook) => new MockConfigClient({
+		...config,
+		webhook: { awaitHandlers: true, ...webhook },
+		config: { can_consume: true, auth_type: null, topics: [ 'com.test.*' ] }
+	});
+
+	it('should acknowledge once async listeners succeed', async function () {
+		const client = makeClient();
+		let finished = false;
+		client.on('event:com.test.*', async () => {
+			await new Promise(resolve => setTimeout(resolve, 10));
+			finished = true;
+		});
+
+		const res = new Response();
+		await client.handleWebhook(new Request({ topic: 'com.test.event' }), res);
+		assert.ok(finished);
+		assert.strictEqual(res.code, 200);
+	});
+
+	it('should fail the webhook when a listener rejects', async function () {
+		const client = makeClient({ dedupe: true });
+		const body = { id: 'event-1', topic: 'com.test.event' };
+		const cause = new Error('boom');
+		let error;
+		client.on('event:com.test.event', async () => {
+			throw cause;
+		});
+		client.on('error', err => error = err);
+
+		const res = new Response();
+		await client.handleWebhook(new Request(body), res);
+		assert.strictEqual(res.code, 500);
+		assert.strictEqual(error.name, 'HandlerError');
+		assert.strictEqual(error.code, 'handler_failed');
+		assert.strictEqual(error.topic, 'com.test.event');
+		assert.strictEqual(error.payload, body);
+		assert.strictEqual(error.cause, cause);
+
+		// The redelivery must not be treated as a duplicate
+		const retry = new Response();
+		let duplicate = false;
+		client.on('duplicate', () => duplicate = true);
+		await client.handleWebhook(new Request(body), retry);
+		assert.strictEqual(duplicate, false);
+	});
+
+	it('should fail the webhook when listeners time out', async function () {
+		const client = makeClient({ handlerTimeout: 20 });
+		client.on('event:com.test.event', () => new Promise(resolve => setTimeout(resolve, 200)));
+
+		const res = new Response();
+		await client.handleWebhook(new Request({ topic: 'com.test.event' }), res);
+		assert.strictEqual(res.code, 503);
+	});
 });